@@ -7,7 +7,9 @@ const STORAGE_KEYS = {
   characters: 'serren_characters',
   modelsCache: 'models_cache_v1',
   modelsCacheTs: 'models_cache_ts_v1',
-  lastSyncAt: 'cloud_last_sync_at'
+  syncCursors: 'cloud_sync_cursors',
+  syncConflicts: 'cloud_sync_conflicts',
+  lorebooks: 'serren_lorebooks'
 };
 
 const DEFAULT_CHARACTER = {
@@ -20,12 +22,95 @@ const DEFAULT_CHARACTER = {
 const DEFAULT_PROFILE = {
   id: 'api-openrouter',
   name: 'OpenRouter',
+  provider: 'openai',
   apiKey: '',
   baseUrl: 'https://openrouter.ai/api/v1',
   model: 'openrouter/auto',
   fallbackModels: ['openrouter/auto']
 };
 
+const DEFAULT_CONTEXT_LENGTH = 8192;
+const CONTEXT_REPLY_RESERVE = 1024;
+const CONTEXT_MESSAGE_OVERHEAD = 4;
+const CONTEXT_MIN_TRIM_TOKENS = 64;
+const SUMMARY_KEEP_RECENT = 8;
+const MESSAGE_PAGE_SIZE = 50;
+const CHAT_WINDOW_SIZE = 40;
+const CHAT_WINDOW_OVERSCAN = 800;
+const ESTIMATED_MESSAGE_HEIGHT = 96;
+const MESSAGE_GAP = 12;
+const AVATAR_BUCKET = 'avatars';
+const ATTACHMENT_BUCKET = 'attachments';
+const ATTACHMENT_MAX_DIMENSION = 1280;
+const ATTACHMENT_JPEG_QUALITY = 0.85;
+const MAX_ATTACHMENTS = 4;
+const IMAGE_TOKEN_ESTIMATE = 765;
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_MAX_TOKENS = 4096;
+// Anthropic and Gemini model lists carry no modality metadata, so image input is
+// only offered for the model families their docs list as multimodal.
+const ANTHROPIC_VISION_MODELS = [/^claude-3-(opus|sonnet|haiku)-/, /^claude-3-[57]-sonnet/, /^claude-(opus|sonnet|haiku)-[4-9]/];
+const GEMINI_VISION_MODELS = [/^gemini-(1\.0-)?pro-vision/, /^gemini-(1\.5|[2-9](\.\d+)?)-(?!.*-tts)/];
+const MAX_STOP_SEQUENCES = 4;
+const LOREBOOK_SCAN_DEPTH = 4;
+const LOREBOOK_TOKEN_BUDGET = 512;
+const TURN_MODE_LABELS = {
+  'round-robin': '轮流发言',
+  auto: '模型决定',
+  manual: '手动点名'
+};
+const LORE_POSITION_LABELS = {
+  before: '系统提示之前',
+  after: '系统提示之后'
+};
+const GENERATION_PARAM_FIELDS = [
+  { key: 'temperature', label: 'Temperature', min: 0, max: 2, step: 0.1 },
+  { key: 'topP', label: 'Top P', min: 0, max: 1, step: 0.05 },
+  { key: 'maxTokens', label: '最大回复 Token', min: 1, step: 1, integer: true },
+  { key: 'frequencyPenalty', label: '频率惩罚', min: -2, max: 2, step: 0.1 },
+  { key: 'presencePenalty', label: '存在惩罚', min: -2, max: 2, step: 0.1 },
+  { key: 'seed', label: 'Seed', step: 1, integer: true }
+];
+const SYNC_DEBOUNCE_MS = 600;
+const SYNC_PAGE_SIZE = 500;
+const SYNC_RETRY_BASE_MS = 2000;
+const SYNC_RETRY_MAX_MS = 5 * 60 * 1000;
+const SYNC_MAX_ATTEMPTS = 8;
+const SYNC_PERMANENT_ERROR_CODES = ['22P02', '23502', '42703', 'PGRST204'];
+const PENDING_OP_LABELS = {
+  characters: '角色',
+  avatars: '头像',
+  secure_settings: '加密设置',
+  conversations: '对话',
+  messages: '消息',
+  lorebooks: '世界书'
+};
+const CONVERSATION_CONFLICT_FIELDS = ['title', 'characterId', 'apiProfileId', 'summary', 'systemPromptOverride'];
+const MESSAGE_CONFLICT_FIELDS = ['content'];
+const CONFLICT_FIELD_LABELS = {
+  title: '标题',
+  characterId: '角色',
+  apiProfileId: 'API Profile',
+  summary: '摘要',
+  systemPromptOverride: '系统提示覆盖',
+  content: '内容'
+};
+const VAULT_KDF_ITERATIONS = 310000;
+const SECURE_SETTING_KEYS = [
+  'theme',
+  'globalPrompt',
+  'temperature',
+  'showModel',
+  'showTokens',
+  'showTimestamp',
+  'streaming',
+  'summaryEnabled',
+  'summaryThreshold',
+  'activeApiProfileId',
+  'userProfile'
+];
+const SUMMARY_PROMPT = '你负责为一段聊天对话维护长期记忆摘要。请在保留已有摘要要点的基础上合并新的对话内容，输出简洁的中文摘要，保留人物、事实、约定、情绪和未完成的话题。只输出摘要正文。';
+
 const DEFAULT_SETTINGS = {
   theme: 'theme-glass',
   globalPrompt: '请保持回答简洁、清晰，并优先用中文回复。',
@@ -34,6 +119,10 @@ const DEFAULT_SETTINGS = {
   showTokens: false,
   showTimestamp: true,
   streaming: false,
+  summaryEnabled: false,
+  summaryThreshold: 40,
+  secureSyncEnabled: false,
+  secureUpdatedAt: 0,
   activeApiProfileId: DEFAULT_PROFILE.id,
   supabaseUrl: 'https://uegpytfjxxfrxlzqrmld.supabase.co',
   supabaseAnonKey: 'sb_publishable_glvRsKxjprJI9V79a-3Qtw_Cu_7_EIx',
@@ -51,6 +140,7 @@ const state = {
   apiProfiles: [],
   conversationsIndex: [],
   charactersIndex: [],
+  lorebooks: [],
   messagesCache: new Map(),
   loading: false,
   longPressActive: false,
@@ -58,8 +148,31 @@ const state = {
   supabase: null,
   session: null,
   syncStatus: 'idle',
+  vault: null,
+  secureSyncError: '',
+  syncConflicts: [],
+  deadOps: [],
   syncError: '',
-  realtimeChannel: null
+  realtimeChannel: null,
+  abortController: null,
+  swipeActive: false,
+  summarizingId: null,
+  avatarCache: new Map(),
+  attachmentCache: new Map(),
+  composerAttachments: { conversationId: null, items: [] },
+  renderedConversationId: null,
+  messagePaging: new Map(),
+  chatWindow: null,
+  chatRender: null,
+  searchIndex: null,
+  search: {
+    open: false,
+    query: '',
+    characterId: '',
+    model: '',
+    from: '',
+    to: ''
+  }
 };
 
 const view = document.getElementById('view');
@@ -87,19 +200,29 @@ function loadLocal(key, fallback) {
 
 function openDB() {
   return new Promise((resolve, reject) => {
-    const request = indexedDB.open('serren_chat_phone', 2);
+    const request = indexedDB.open('serren_chat_phone', 5);
     request.onupgradeneeded = () => {
       const db = request.result;
       if (!db.objectStoreNames.contains('messages')) {
         const store = db.createObjectStore('messages', { keyPath: 'id' });
         store.createIndex('conversationId', 'conversationId', { unique: false });
       }
+      const messageStore = request.transaction.objectStore('messages');
+      if (!messageStore.indexNames.contains('conversationCreatedAt')) {
+        messageStore.createIndex('conversationCreatedAt', ['conversationId', 'createdAt'], { unique: false });
+      }
       if (!db.objectStoreNames.contains('avatars')) {
         db.createObjectStore('avatars', { keyPath: 'key' });
       }
       if (!db.objectStoreNames.contains('pending_ops')) {
         db.createObjectStore('pending_ops', { keyPath: 'id' });
       }
+      if (!db.objectStoreNames.contains('vault')) {
+        db.createObjectStore('vault', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('attachments')) {
+        db.createObjectStore('attachments', { keyPath: 'id' });
+      }
     };
     request.onsuccess = () => resolve(request.result);
     request.onerror = () => reject(request.error);
@@ -128,33 +251,146 @@ async function getMessages(conversationId) {
   });
 }
 
+async function getMessagesPage(conversationId, before, limit) {
+  return withStore('messages', 'readonly', (store) => {
+    return new Promise((resolve) => {
+      const range = IDBKeyRange.bound([conversationId, -Infinity], [conversationId, before]);
+      const request = store.index('conversationCreatedAt').openCursor(range, 'prev');
+      const page = [];
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || page.length >= limit) {
+          resolve(page.reverse());
+          return;
+        }
+        page.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => resolve([]);
+    });
+  });
+}
+
+async function getAllMessages() {
+  return withStore('messages', 'readonly', (store) => {
+    return new Promise((resolve) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => resolve([]);
+    });
+  });
+}
+
+async function getMessagesByIds(ids) {
+  return withStore('messages', 'readonly', (store) => {
+    return Promise.all(ids.map((id) => new Promise((resolve) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => resolve(null);
+    }))).then((items) => items.filter(Boolean));
+  });
+}
+
 async function saveMessages(conversationId, messages) {
   await withStore('messages', 'readwrite', (store) => {
-    const index = store.index('conversationId');
-    const request = index.getAllKeys(conversationId);
-    request.onsuccess = () => {
-      (request.result || []).forEach((key) => store.delete(key));
-      messages.forEach((message) => store.put(message));
-    };
+    messages.forEach((message) => store.put(message));
   });
+  if (state.searchIndex) {
+    indexMessagesForSearch(messages);
+  }
 }
 
 async function setAvatar(key, dataUrl) {
   await withStore('avatars', 'readwrite', (store) => store.put({ key, dataUrl }));
+  state.avatarCache.set(key, dataUrl);
 }
 
 async function getAvatar(key) {
-  return withStore('avatars', 'readonly', (store) => {
+  if (state.avatarCache.has(key)) return state.avatarCache.get(key);
+  const dataUrl = await withStore('avatars', 'readonly', (store) => {
     return new Promise((resolve) => {
       const request = store.get(key);
       request.onsuccess = () => resolve(request.result?.dataUrl || null);
       request.onerror = () => resolve(null);
     });
   });
+  state.avatarCache.set(key, dataUrl);
+  return dataUrl;
+}
+
+async function setAttachmentData(id, dataUrl) {
+  await withStore('attachments', 'readwrite', (store) => store.put({ id, dataUrl }));
+  state.attachmentCache.set(id, dataUrl);
+}
+
+async function getAttachmentData(attachment) {
+  if (state.attachmentCache.get(attachment.id)) return state.attachmentCache.get(attachment.id);
+  let dataUrl = await withStore('attachments', 'readonly', (store) => {
+    return new Promise((resolve) => {
+      const request = store.get(attachment.id);
+      request.onsuccess = () => resolve(request.result?.dataUrl || null);
+      request.onerror = () => resolve(null);
+    });
+  });
+  if (!dataUrl && attachment.path && state.supabase && state.session) {
+    dataUrl = await downloadAttachment(attachment);
+  }
+  if (dataUrl) state.attachmentCache.set(attachment.id, dataUrl);
+  return dataUrl;
+}
+
+async function removeMessageAttachments(messages) {
+  const attachments = messages.flatMap((message) => message.attachments || []);
+  if (!attachments.length) return;
+  await withStore('attachments', 'readwrite', (store) => {
+    attachments.forEach((attachment) => store.delete(attachment.id));
+  });
+  attachments.forEach((attachment) => state.attachmentCache.delete(attachment.id));
+}
+
+async function copyMessageAttachments(attachments = []) {
+  return Promise.all(attachments.map(async ({ path, ...attachment }) => {
+    const id = uuid();
+    const dataUrl = await getAttachmentData(attachment);
+    if (dataUrl) await setAttachmentData(id, dataUrl);
+    return { ...attachment, id };
+  }));
+}
+
+function getPendingOpKey(op) {
+  return `${op.table}:${op.payload?.id || ''}`;
+}
+
+function getPendingOpScope(op) {
+  return op.table === 'messages' ? `conversations:${op.payload?.conversationId}` : getPendingOpKey(op);
+}
+
+function mergePendingOpAction(previous, next) {
+  if (next === 'delete') return 'delete';
+  return previous === 'create' ? 'create' : next;
 }
 
 async function addPendingOp(op) {
-  await withStore('pending_ops', 'readwrite', (store) => store.put(op));
+  await withStore('pending_ops', 'readwrite', (store) => {
+    const request = store.getAll();
+    request.onsuccess = () => {
+      const key = getPendingOpKey(op);
+      const existing = (request.result || []).find((item) => !item.dead && getPendingOpKey(item) === key);
+      if (!existing) {
+        store.put({ ...op, revision: 0, attempts: 0, nextAttemptAt: 0 });
+        return;
+      }
+      store.put({
+        ...existing,
+        action: mergePendingOpAction(existing.action, op.action),
+        payload: op.payload,
+        revision: (existing.revision || 0) + 1,
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: ''
+      });
+    };
+  });
 }
 
 async function getPendingOps() {
@@ -167,8 +403,26 @@ async function getPendingOps() {
   });
 }
 
-async function clearPendingOp(id) {
-  await withStore('pending_ops', 'readwrite', (store) => store.delete(id));
+async function clearPendingOp(id, revision) {
+  await withStore('pending_ops', 'readwrite', (store) => {
+    if (revision === undefined) {
+      store.delete(id);
+      return;
+    }
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if ((request.result?.revision || 0) === revision) store.delete(id);
+    };
+  });
+}
+
+async function updatePendingOp(id, changes) {
+  await withStore('pending_ops', 'readwrite', (store) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, ...changes });
+    };
+  });
 }
 
 function formatTime(ts) {
@@ -197,53 +451,101 @@ function loadModelsCache() {
   return { cache, ts };
 }
 
-function saveModelsCache(baseUrl, models) {
-  saveLocal(STORAGE_KEYS.modelsCache, { baseUrl, models });
+function saveModelsCache(key, models) {
+  saveLocal(STORAGE_KEYS.modelsCache, { key, models });
   localStorage.setItem(STORAGE_KEYS.modelsCacheTs, String(Date.now()));
 }
 
-async function fetchModels(baseUrl, apiKey, forceRefresh = false) {
-  const normalized = normalizeBaseUrl(baseUrl || DEFAULT_PROFILE.baseUrl);
+function getModelsCacheKey(profile) {
+  const adapter = getProviderAdapter(profile);
+  return `${profile?.provider || 'openai'}|${normalizeBaseUrl(profile?.baseUrl || adapter.defaultBaseUrl)}`;
+}
+
+async function fetchModels(profile, forceRefresh = false) {
+  const adapter = getProviderAdapter(profile);
+  const key = getModelsCacheKey(profile);
   const { cache, ts } = loadModelsCache();
   const now = Date.now();
-  if (!forceRefresh && cache?.models && cache.baseUrl === normalized && now - ts < 24 * 60 * 60 * 1000) {
+  if (!forceRefresh && cache?.models && cache.key === key && now - ts < 24 * 60 * 60 * 1000) {
     return cache.models;
   }
 
   try {
-    const response = await fetch(`${normalized}/models`, {
-      method: 'GET',
-      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : undefined
+    const { url, headers } = adapter.modelsRequest({
+      ...profile,
+      baseUrl: normalizeBaseUrl(profile?.baseUrl || adapter.defaultBaseUrl)
     });
+    const response = await fetch(url, { method: 'GET', headers });
     if (!response.ok) {
       console.error('模型列表请求失败', response.status);
-      return cache?.models || [];
+      return cache?.key === key ? cache.models : [];
     }
-    const data = await response.json();
-    const models = data?.data || data?.models || data || [];
-    saveModelsCache(normalized, models);
+    const models = adapter.parseModels(await response.json());
+    saveModelsCache(key, models);
     return models;
   } catch (error) {
     console.error('模型列表请求异常', error);
-    return cache?.models || [];
+    return cache?.key === key ? cache.models : [];
   }
 }
 
-function normalizeFallbackModels(primaryModel, fallbackModels) {
+function getFallbackKey(entry) {
+  return typeof entry === 'string' ? entry : `${entry.profileId}::${entry.model}`;
+}
+
+function normalizeFallbackModels(primaryModel, fallbackModels, provider = 'openai') {
   const clean = (fallbackModels || [])
-    .map((model) => model?.trim())
-    .filter(Boolean)
-    .filter((model) => model !== primaryModel);
-  if (!clean.includes('openrouter/auto') && primaryModel !== 'openrouter/auto') {
+    .map((entry) => {
+      if (typeof entry === 'string') return entry.trim();
+      if (!entry?.profileId) return entry?.model?.trim();
+      return { profileId: entry.profileId, model: entry.model?.trim() };
+    })
+    .filter((entry) => (typeof entry === 'string' ? entry : entry?.model))
+    .filter((entry) => entry !== primaryModel);
+  if (provider === 'openai' && !clean.includes('openrouter/auto') && primaryModel !== 'openrouter/auto') {
     clean.push('openrouter/auto');
   }
-  return [...new Set(clean)];
+  const seen = new Set();
+  return clean.filter((entry) => {
+    const key = getFallbackKey(entry);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function normalizeProfile(profile) {
+  const provider = PROVIDER_ADAPTERS[profile.provider] ? profile.provider : 'openai';
+  const adapter = PROVIDER_ADAPTERS[provider];
+  const model = profile.model || adapter.defaultModel;
+  return {
+    ...profile,
+    provider,
+    baseUrl: normalizeBaseUrl(profile.baseUrl || adapter.defaultBaseUrl),
+    model,
+    fallbackModels: normalizeFallbackModels(model, profile.fallbackModels || [], provider)
+  };
 }
 
 function buildModelFallbacks(profile) {
-  const primary = profile?.model || 'openrouter/auto';
-  const fallbacks = normalizeFallbackModels(primary, profile?.fallbackModels || []);
-  return [primary, ...fallbacks];
+  const primary = profile?.model || getProviderAdapter(profile).defaultModel;
+  const fallbacks = normalizeFallbackModels(primary, profile?.fallbackModels || [], profile?.provider);
+  return [
+    { profile, model: primary },
+    ...fallbacks.map((entry) => {
+      if (typeof entry === 'string') return { profile, model: entry };
+      const target = state.apiProfiles.find((item) => item.id === entry.profileId);
+      return target ? { profile: target, model: entry.model } : null;
+    }).filter(Boolean)
+  ];
+}
+
+function getRoutingModels(targets, profile) {
+  return targets.filter((target) => target.profile === profile).map((target) => target.model);
+}
+
+function isProfileReady(profile) {
+  return Boolean(profile) && (!getProviderAdapter(profile).requiresKey || Boolean(profile.apiKey));
 }
 
 function shouldRetryWithoutModelsParam(errorText) {
@@ -251,11 +553,17 @@ function shouldRetryWithoutModelsParam(errorText) {
   return /models/i.test(errorText) && /(unknown|unrecognized|unsupported|invalid)/i.test(errorText);
 }
 
-function buildChatRequestBody({ model, models, systemPrompt, history, temperature, stream }) {
+function buildChatRequestBody({ model, models, systemPrompt, history, params, stream }) {
   const body = {
     model,
-    messages: [{ role: 'system', content: systemPrompt }, ...history],
-    temperature,
+    messages: [{ role: 'system', content: systemPrompt }, ...history.map(toOpenAiMessage)],
+    temperature: params.temperature,
+    top_p: params.topP,
+    max_tokens: params.maxTokens,
+    frequency_penalty: params.frequencyPenalty,
+    presence_penalty: params.presencePenalty,
+    stop: params.stop,
+    seed: params.seed,
     stream
   };
   if (models && models.length > 1) {
@@ -264,6 +572,314 @@ function buildChatRequestBody({ model, models, systemPrompt, history, temperatur
   return body;
 }
 
+function getDataUrlBase64(dataUrl) {
+  return dataUrl.slice(dataUrl.indexOf(',') + 1);
+}
+
+function toOpenAiMessage({ role, content, images }) {
+  if (!images?.length) return { role, content };
+  return {
+    role,
+    content: [
+      ...(content ? [{ type: 'text', text: content }] : []),
+      ...images.map((image) => ({ type: 'image_url', image_url: { url: image.dataUrl } }))
+    ]
+  };
+}
+
+function toAnthropicMessage({ role, content, images }) {
+  if (!images?.length) return { role, content };
+  return {
+    role,
+    content: [
+      ...images.map((image) => ({
+        type: 'image',
+        source: { type: 'base64', media_type: image.mimeType, data: getDataUrlBase64(image.dataUrl) }
+      })),
+      ...(content ? [{ type: 'text', text: content }] : [])
+    ]
+  };
+}
+
+function toGeminiContent({ role, content, images }) {
+  return {
+    role: role === 'assistant' ? 'model' : 'user',
+    parts: [
+      ...(images || []).map((image) => ({
+        inline_data: { mime_type: image.mimeType, data: getDataUrlBase64(image.dataUrl) }
+      })),
+      ...(content || !images?.length ? [{ text: content }] : [])
+    ]
+  };
+}
+
+function toOllamaMessage({ role, content, images }) {
+  return images?.length
+    ? { role, content, images: images.map((image) => getDataUrlBase64(image.dataUrl)) }
+    : { role, content };
+}
+
+function getProviderAdapter(profile) {
+  return PROVIDER_ADAPTERS[profile?.provider] || PROVIDER_ADAPTERS.openai;
+}
+
+function mergeConsecutiveTurns(history) {
+  return history.reduce((turns, message) => {
+    const last = turns[turns.length - 1];
+    if (last && last.role === message.role) {
+      last.content = [last.content, message.content].filter(Boolean).join('\n\n');
+      if (message.images?.length) last.images = [...(last.images || []), ...message.images];
+    } else {
+      turns.push({ role: message.role, content: message.content, images: message.images });
+    }
+    return turns;
+  }, []);
+}
+
+function mergeUsage(current, next) {
+  if (!next) return current || null;
+  const prompt = next.prompt ?? current?.prompt ?? null;
+  const completion = next.completion ?? current?.completion ?? null;
+  if (prompt === null && completion === null && next.total == null) return current || null;
+  return { prompt, completion, total: next.total ?? (prompt || 0) + (completion || 0) };
+}
+
+function getGeminiText(data) {
+  return (data?.candidates?.[0]?.content?.parts || []).map((part) => part.text || '').join('');
+}
+
+const PROVIDER_ADAPTERS = {
+  openai: {
+    label: 'OpenAI 兼容 / OpenRouter',
+    defaultBaseUrl: DEFAULT_PROFILE.baseUrl,
+    defaultModel: 'openrouter/auto',
+    requiresKey: true,
+    streamFormat: 'sse',
+    buildRequest({ profile, model, models, systemPrompt, history, params, stream }) {
+      return {
+        url: `${normalizeBaseUrl(profile.baseUrl)}/chat/completions`,
+        headers: { Authorization: `Bearer ${profile.apiKey}` },
+        body: buildChatRequestBody({ model, models, systemPrompt, history, params, stream })
+      };
+    },
+    parseResponse(data) {
+      const usage = data?.usage;
+      return {
+        content: data?.choices?.[0]?.message?.content || '',
+        tokens: usage && { prompt: usage.prompt_tokens, completion: usage.completion_tokens, total: usage.total_tokens }
+      };
+    },
+    parseStreamChunk(json) {
+      const usage = json?.usage;
+      return {
+        delta: json?.choices?.[0]?.delta?.content || '',
+        tokens: usage && { prompt: usage.prompt_tokens, completion: usage.completion_tokens, total: usage.total_tokens }
+      };
+    },
+    modelsRequest(profile) {
+      return {
+        url: `${normalizeBaseUrl(profile.baseUrl)}/models`,
+        headers: profile.apiKey ? { Authorization: `Bearer ${profile.apiKey}` } : undefined
+      };
+    },
+    parseModels(data) {
+      return data?.data || data?.models || data || [];
+    }
+  },
+  local: {
+    label: '本地服务器（LM Studio / llama.cpp / Ollama /v1）',
+    defaultBaseUrl: 'http://localhost:1234/v1',
+    defaultModel: '',
+    requiresKey: false,
+    streamFormat: 'sse',
+    buildRequest({ profile, model, systemPrompt, history, params, stream }) {
+      return {
+        url: `${normalizeBaseUrl(profile.baseUrl)}/chat/completions`,
+        headers: profile.apiKey ? { Authorization: `Bearer ${profile.apiKey}` } : {},
+        body: buildChatRequestBody({ model, models: null, systemPrompt, history, params, stream })
+      };
+    },
+    parseResponse(data) {
+      return PROVIDER_ADAPTERS.openai.parseResponse(data);
+    },
+    parseStreamChunk(json) {
+      return PROVIDER_ADAPTERS.openai.parseStreamChunk(json);
+    },
+    modelsRequest(profile) {
+      return PROVIDER_ADAPTERS.openai.modelsRequest(profile);
+    },
+    parseModels(data) {
+      return PROVIDER_ADAPTERS.openai.parseModels(data);
+    }
+  },
+  anthropic: {
+    label: 'Anthropic',
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    defaultModel: 'claude-3-5-sonnet-latest',
+    requiresKey: true,
+    streamFormat: 'sse',
+    buildRequest({ profile, model, systemPrompt, history, params, stream }) {
+      // Anthropic rejects temperature and top_p together; top_p wins only when it is the one overridden
+      const useTopP = params.topP != null && !params.overridden?.includes('temperature');
+      return {
+        url: `${normalizeBaseUrl(profile.baseUrl)}/messages`,
+        headers: {
+          'x-api-key': profile.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body: {
+          model,
+          system: systemPrompt,
+          messages: mergeConsecutiveTurns(history).map(toAnthropicMessage),
+          max_tokens: params.maxTokens || ANTHROPIC_MAX_TOKENS,
+          temperature: useTopP ? undefined : Math.min(params.temperature, 1),
+          top_p: useTopP ? params.topP : undefined,
+          stop_sequences: params.stop,
+          stream
+        }
+      };
+    },
+    parseResponse(data) {
+      return {
+        content: (data?.content || []).filter((block) => block.type === 'text').map((block) => block.text).join(''),
+        tokens: data?.usage && { prompt: data.usage.input_tokens, completion: data.usage.output_tokens }
+      };
+    },
+    parseStreamChunk(json) {
+      if (json?.type === 'content_block_delta') return { delta: json.delta?.text || '' };
+      if (json?.type === 'message_start') return { tokens: { prompt: json.message?.usage?.input_tokens } };
+      if (json?.type === 'message_delta') return { tokens: { completion: json.usage?.output_tokens } };
+      return {};
+    },
+    modelsRequest(profile) {
+      return {
+        url: `${normalizeBaseUrl(profile.baseUrl)}/models?limit=1000`,
+        headers: {
+          'x-api-key': profile.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+          'anthropic-dangerous-direct-browser-access': 'true'
+        }
+      };
+    },
+    parseModels(data) {
+      return (data?.data || []).map((model) => ({
+        id: model.id,
+        name: model.display_name || model.id,
+        input_modalities: getListedModalities(model.id, ANTHROPIC_VISION_MODELS)
+      }));
+    }
+  },
+  gemini: {
+    label: 'Google Gemini',
+    defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    defaultModel: 'gemini-1.5-flash',
+    requiresKey: true,
+    streamFormat: 'sse',
+    buildRequest({ profile, model, systemPrompt, history, params, stream }) {
+      const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+      return {
+        url: `${normalizeBaseUrl(profile.baseUrl)}/models/${encodeURIComponent(model)}:${method}`,
+        headers: { 'x-goog-api-key': profile.apiKey },
+        body: {
+          systemInstruction: systemPrompt ? { parts: [{ text: systemPrompt }] } : undefined,
+          contents: mergeConsecutiveTurns(history).map(toGeminiContent),
+          generationConfig: {
+            temperature: params.temperature,
+            topP: params.topP,
+            maxOutputTokens: params.maxTokens,
+            frequencyPenalty: params.frequencyPenalty,
+            presencePenalty: params.presencePenalty,
+            stopSequences: params.stop,
+            seed: params.seed
+          }
+        }
+      };
+    },
+    parseResponse(data) {
+      const usage = data?.usageMetadata;
+      return {
+        content: getGeminiText(data),
+        tokens: usage && { prompt: usage.promptTokenCount, completion: usage.candidatesTokenCount, total: usage.totalTokenCount }
+      };
+    },
+    parseStreamChunk(json) {
+      const { content, tokens } = PROVIDER_ADAPTERS.gemini.parseResponse(json);
+      return { delta: content, tokens };
+    },
+    modelsRequest(profile) {
+      return {
+        url: `${normalizeBaseUrl(profile.baseUrl)}/models?pageSize=1000`,
+        headers: { 'x-goog-api-key': profile.apiKey }
+      };
+    },
+    parseModels(data) {
+      return (data?.models || [])
+        .filter((model) => (model.supportedGenerationMethods || []).includes('generateContent'))
+        .map((model) => ({
+          id: model.name.replace(/^models\//, ''),
+          name: model.displayName || model.name,
+          context_length: model.inputTokenLimit,
+          input_modalities: getListedModalities(model.name.replace(/^models\//, ''), GEMINI_VISION_MODELS)
+        }));
+    }
+  },
+  ollama: {
+    label: 'Ollama',
+    defaultBaseUrl: 'http://localhost:11434',
+    defaultModel: 'llama3.1',
+    requiresKey: false,
+    streamFormat: 'ndjson',
+    buildRequest({ profile, model, systemPrompt, history, params, stream }) {
+      return {
+        url: `${normalizeBaseUrl(profile.baseUrl)}/api/chat`,
+        headers: profile.apiKey ? { Authorization: `Bearer ${profile.apiKey}` } : {},
+        body: {
+          model,
+          messages: [{ role: 'system', content: systemPrompt }, ...history.map(toOllamaMessage)],
+          stream,
+          options: {
+            temperature: params.temperature,
+            top_p: params.topP,
+            num_predict: params.maxTokens,
+            frequency_penalty: params.frequencyPenalty,
+            presence_penalty: params.presencePenalty,
+            stop: params.stop,
+            seed: params.seed
+          }
+        }
+      };
+    },
+    parseResponse(data) {
+      return {
+        content: data?.message?.content || '',
+        tokens: data?.done && { prompt: data.prompt_eval_count, completion: data.eval_count }
+      };
+    },
+    parseStreamChunk(json) {
+      const { content, tokens } = PROVIDER_ADAPTERS.ollama.parseResponse(json);
+      return { delta: content, tokens };
+    },
+    modelsRequest(profile) {
+      return {
+        url: `${normalizeBaseUrl(profile.baseUrl)}/api/tags`,
+        headers: profile.apiKey ? { Authorization: `Bearer ${profile.apiKey}` } : undefined
+      };
+    },
+    parseModels(data) {
+      return (data?.models || []).map((model) => {
+        const families = model.details?.families || [];
+        const vision = (model.capabilities || []).includes('vision') || families.some((family) => /clip|mllama/.test(family));
+        return {
+          id: model.name || model.model,
+          name: model.name || model.model,
+          input_modalities: vision ? ['text', 'image'] : ['text']
+        };
+      });
+    }
+  }
+};
+
 function applyTheme() {
   document.body.className = state.settings.theme;
 }
@@ -286,27 +902,42 @@ function clearRealtimeSubscription() {
   }
 }
 
-function setupRealtimeSubscription(conversationId) {
+function setupRealtimeSubscription() {
   clearRealtimeSubscription();
-  if (!state.supabase || !state.session || !conversationId) return;
-  const channelName = `messages-${conversationId}`;
+  if (!state.supabase || !state.session) return;
+  const userId = state.session.user.id;
+  const filter = `user_id=eq.${userId}`;
   state.realtimeChannel = state.supabase
-    .channel(channelName)
-    .on('postgres_changes', {
-      event: '*',
-      schema: 'public',
-      table: 'messages',
-      filter: `conversation_id=eq.${conversationId}`
-    }, async () => {
-      const remote = await fetchMessagesFromSupabase(conversationId);
-      await mergeMessagesFromCloud(remote);
-      if (state.activeConversationId === conversationId) {
-        await renderChatView();
-      } else {
-        renderConversations();
-      }
+    .channel(`sync-${userId}`)
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'conversations', filter }, (payload) => {
+      if (!payload.new?.id) return;
+      mergeConversationsFromCloud([payload.new]);
+      refreshAfterRealtime(payload.new.id);
     })
-    .subscribe();
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'messages', filter }, async (payload) => {
+      if (!payload.new?.id) return;
+      await mergeMessagesFromCloud([payload.new], { countUnread: true });
+      refreshAfterRealtime(payload.new.conversation_id);
+    })
+    .subscribe((status) => {
+      if (status === 'SUBSCRIBED') scheduleCloudSync();
+    });
+}
+
+function refreshAfterRealtime(conversationId) {
+  if (state.currentTab !== 'conversations' || state.search.open) return;
+  if (state.activeConversationId === conversationId) {
+    if (!state.loading) renderChatView();
+  } else if (!state.activeConversationId) {
+    renderConversations();
+  }
+}
+
+function markConversationRead(conversationId) {
+  const conversation = getConversation(conversationId);
+  if (!conversation?.unreadCount) return;
+  conversation.unreadCount = 0;
+  saveLocal(STORAGE_KEYS.conversations, state.conversationsIndex);
 }
 
 function setSyncStatus(status, errorMessage = '') {
@@ -374,12 +1005,23 @@ async function signOutSupabase() {
   render();
 }
 
-function getLastSyncAt() {
-  return Number(localStorage.getItem(STORAGE_KEYS.lastSyncAt) || 0);
+function getSyncCursor(table) {
+  const cursors = loadLocal(STORAGE_KEYS.syncCursors, {});
+  return cursors.userId === state.session?.user?.id ? cursors.tables?.[table] || null : null;
+}
+
+function setSyncCursor(table, cursor) {
+  const cursors = loadLocal(STORAGE_KEYS.syncCursors, {});
+  const userId = state.session?.user?.id;
+  const tables = cursors.userId === userId ? cursors.tables || {} : {};
+  saveLocal(STORAGE_KEYS.syncCursors, { userId, tables: { ...tables, [table]: cursor } });
 }
 
-function setLastSyncAt(ts) {
-  localStorage.setItem(STORAGE_KEYS.lastSyncAt, String(ts));
+function setSyncProgress(text) {
+  const bar = document.querySelector('[data-role="sync-progress"]');
+  if (!bar) return;
+  bar.textContent = text;
+  bar.classList.toggle('hidden', !text);
 }
 
 function mapConversationToCloud(conversation) {
@@ -390,22 +1032,76 @@ function mapConversationToCloud(conversation) {
     updated_at: new Date(conversation.updatedAt).toISOString(),
     preview: conversation.preview || '',
     character_id: conversation.characterId,
+    character_ids: conversation.characterIds || [],
+    turn_mode: conversation.turnMode || 'round-robin',
     api_profile_id: conversation.apiProfileId,
+    model: conversation.model || '',
+    parent_id: conversation.parentId || null,
+    fork_message_id: conversation.forkMessageId || null,
+    summary: conversation.summary || '',
+    summary_until: conversation.summaryUntil ? new Date(conversation.summaryUntil).toISOString() : null,
+    generation: normalizeGenerationOverrides(conversation.generation),
+    system_prompt_override: conversation.systemPromptOverride || '',
     is_deleted: Boolean(conversation.isDeleted)
   };
 }
 
+function mapLorebookToCloud(book) {
+  return {
+    id: book.id,
+    user_id: state.session?.user?.id,
+    name: book.name,
+    character_id: book.characterId || null,
+    enabled: book.enabled !== false,
+    scan_depth: book.scanDepth || LOREBOOK_SCAN_DEPTH,
+    token_budget: book.tokenBudget || LOREBOOK_TOKEN_BUDGET,
+    entries: book.entries || [],
+    is_deleted: Boolean(book.isDeleted),
+    updated_at: new Date(book.updatedAt || Date.now()).toISOString()
+  };
+}
+
+function mapCharacterToCloud(character) {
+  return {
+    id: character.id,
+    user_id: state.session?.user?.id,
+    name: character.name,
+    prompt: character.prompt || '',
+    description: character.description || '',
+    personality: character.personality || '',
+    scenario: character.scenario || '',
+    greeting: character.greeting || '',
+    example_dialogue: character.exampleDialogue || '',
+    card_data: character.cardData || null,
+    preferred_profile_id: character.preferredProfileId || null,
+    preferred_model: character.preferredModel || '',
+    preferred_temperature: character.preferredTemperature ?? null,
+    avatar_key: character.avatarKey,
+    updated_at: new Date(character.updatedAt || Date.now()).toISOString()
+  };
+}
+
 function mapMessageToCloud(message) {
   return {
     id: message.id,
     user_id: state.session?.user?.id,
     conversation_id: message.conversationId,
     role: message.role,
+    character_id: message.characterId || null,
     content: message.content,
+    attachments: (message.attachments || []).map((attachment) => ({
+      ...attachment,
+      path: attachment.path || getAttachmentStoragePath(message, attachment)
+    })),
     model: message.model || '',
     tokens_prompt: message.tokens?.prompt ?? null,
     tokens_completion: message.tokens?.completion ?? null,
     tokens_total: message.tokens?.total ?? null,
+    is_stopped: Boolean(message.stopped),
+    is_greeting: Boolean(message.isGreeting),
+    lore_hits: message.loreHits || [],
+    version_group: getVersionGroupId(message),
+    is_active_version: message.isActiveVersion !== false,
     created_at: new Date(message.createdAt).toISOString(),
     updated_at: new Date(message.updatedAt || message.createdAt).toISOString(),
     is_deleted: Boolean(message.isDeleted)
@@ -415,150 +1111,879 @@ function mapMessageToCloud(message) {
 async function storeMessageInSupabase(message) {
   if (!state.supabase || !state.session) return { success: false, skipped: true };
   const payload = mapMessageToCloud(message);
-  const { error } = await state.supabase.from('messages').upsert(payload);
+  const { data, error } = await state.supabase.from('messages').upsert(payload).select('updated_at');
   if (error) {
     console.error('storeMessageInSupabase failed', error, payload);
     return { success: false, error };
   }
-  return { success: true };
+  return { success: true, updatedAt: Date.parse(data?.[0]?.updated_at) || null };
 }
 
-async function fetchMessagesFromSupabase(conversationId) {
+async function fetchMessagesFromSupabase(conversationId, { before, limit } = {}) {
   if (!state.supabase || !state.session) return [];
-  const { data, error } = await state.supabase
+  let query = state.supabase
     .from('messages')
     .select('*')
-    .eq('conversation_id', conversationId)
-    .order('created_at', { ascending: true });
+    .eq('conversation_id', conversationId);
+  if (Number.isFinite(before)) {
+    query = query.lte('created_at', new Date(before).toISOString());
+  }
+  query = limit
+    ? query.order('created_at', { ascending: false }).limit(limit)
+    : query.order('created_at', { ascending: true });
+  const { data, error } = await query;
   if (error) {
     console.error('fetchMessagesFromSupabase failed', error, { conversationId });
     return [];
   }
-  return data || [];
+  return limit ? (data || []).reverse() : data || [];
 }
 
-function mergeConversationsFromCloud(rows) {
+function getAvatarStoragePath(characterId) {
+  return `${state.session?.user?.id}/${characterId}`;
+}
+
+async function uploadCharacterAvatar(characterId) {
+  const character = state.charactersIndex.find((item) => item.id === characterId);
+  const dataUrl = character && await getAvatar(character.avatarKey);
+  if (!dataUrl) return;
+  const blob = await (await fetch(dataUrl)).blob();
+  const path = getAvatarStoragePath(character.id);
+  const { error } = await state.supabase.storage
+    .from(AVATAR_BUCKET)
+    .upload(path, blob, { upsert: true, contentType: blob.type || 'image/png' });
+  if (error) throw error;
+  const { error: rowError } = await state.supabase.from('characters').upsert({
+    ...mapCharacterToCloud(character),
+    avatar_path: path,
+    avatar_updated_at: new Date(character.avatarUpdatedAt || Date.now()).toISOString()
+  });
+  if (rowError) throw rowError;
+}
+
+function getAttachmentStoragePath(message, attachment) {
+  return `${state.session?.user?.id}/${message.conversationId}/${attachment.id}`;
+}
+
+async function uploadMessageAttachments(message) {
+  if (!message.attachments?.length) return;
+  const local = await findLocalMessage(message);
+  const knownPaths = new Map((local?.attachments || []).map((attachment) => [attachment.id, attachment.path]));
+  let uploaded = false;
+  for (const attachment of message.attachments) {
+    attachment.path = attachment.path || knownPaths.get(attachment.id);
+    if (attachment.path) continue;
+    const dataUrl = await getAttachmentData(attachment);
+    if (!dataUrl) continue;
+    const blob = await (await fetch(dataUrl)).blob();
+    const path = getAttachmentStoragePath(message, attachment);
+    const { error } = await state.supabase.storage
+      .from(ATTACHMENT_BUCKET)
+      .upload(path, blob, { upsert: true, contentType: attachment.mimeType });
+    if (error) throw error;
+    attachment.path = path;
+    uploaded = true;
+  }
+  if (!uploaded || !local) return;
+  local.attachments = (local.attachments || []).map((attachment) => {
+    const pushed = message.attachments.find((item) => item.id === attachment.id);
+    return pushed?.path ? { ...attachment, path: pushed.path } : attachment;
+  });
+  await saveMessages(message.conversationId, [local]);
+}
+
+async function removeStoredAttachments(message) {
+  const paths = (message.attachments || []).map((attachment) => attachment.path).filter(Boolean);
+  if (!paths.length) return;
+  const { error } = await state.supabase.storage.from(ATTACHMENT_BUCKET).remove(paths);
+  if (error) throw error;
+}
+
+async function downloadAttachment(attachment) {
+  const { data, error } = await state.supabase.storage.from(ATTACHMENT_BUCKET).download(attachment.path);
+  if (error) {
+    console.error('attachment download failed', error, attachment.path);
+    return null;
+  }
+  const dataUrl = await fileToDataUrl(data);
+  await withStore('attachments', 'readwrite', (store) => store.put({ id: attachment.id, dataUrl }));
+  return dataUrl;
+}
+
+async function downloadCharacterAvatar(character, row) {
+  const { data, error } = await state.supabase.storage.from(AVATAR_BUCKET).download(row.avatar_path);
+  if (error) {
+    console.error('avatar download failed', error, row.avatar_path);
+    return;
+  }
+  await setAvatar(character.avatarKey, await fileToDataUrl(data));
+  character.avatarUpdatedAt = Date.parse(row.avatar_updated_at) || Date.now();
+}
+
+async function mergeCharactersFromCloud(rows) {
+  const pendingKeys = new Set((await getPendingOps()).map(getPendingOpKey));
+  for (const row of rows) {
+    const existing = state.charactersIndex.find((item) => item.id === row.id);
+    const remoteAt = Date.parse(row.updated_at) || Date.now();
+    const keepLocal = existing && (
+      pendingKeys.has(getPendingOpKey({ table: 'characters', payload: { id: row.id } }))
+      || (existing.updatedAt || 0) > remoteAt
+    );
+    const merged = {
+      ...existing,
+      id: row.id,
+      name: row.name,
+      prompt: row.prompt || '',
+      description: row.description || '',
+      personality: row.personality || '',
+      scenario: row.scenario || '',
+      greeting: row.greeting || '',
+      exampleDialogue: row.example_dialogue || '',
+      cardData: row.card_data || undefined,
+      preferredProfileId: row.preferred_profile_id || null,
+      preferredModel: row.preferred_model || '',
+      preferredTemperature: row.preferred_temperature ?? null,
+      avatarKey: existing?.avatarKey || row.avatar_key || `character:${row.id}`,
+      updatedAt: remoteAt
+    };
+    if (!existing) {
+      state.charactersIndex.push(merged);
+    } else if (!keepLocal) {
+      Object.assign(existing, merged);
+    }
+    const target = existing || merged;
+    const remoteAvatarAt = Date.parse(row.avatar_updated_at) || 0;
+    if (row.avatar_path && remoteAvatarAt > (target.avatarUpdatedAt || 0)) {
+      await downloadCharacterAvatar(target, row);
+    }
+  }
+  saveLocal(STORAGE_KEYS.characters, state.charactersIndex);
+}
+
+async function mergeLorebooksFromCloud(rows) {
+  const pendingKeys = new Set((await getPendingOps()).map(getPendingOpKey));
   rows.forEach((row) => {
-    const existing = state.conversationsIndex.find((item) => item.id === row.id);
+    if (pendingKeys.has(getPendingOpKey({ table: 'lorebooks', payload: { id: row.id } }))) return;
+    const existing = state.lorebooks.find((item) => item.id === row.id);
+    const remoteAt = Date.parse(row.updated_at) || Date.now();
+    if ((existing?.updatedAt || 0) > remoteAt) return;
+    if (row.is_deleted) {
+      state.lorebooks = state.lorebooks.filter((item) => item.id !== row.id);
+      return;
+    }
     const merged = {
       id: row.id,
-      title: row.title,
-      updatedAt: Date.parse(row.updated_at) || Date.now(),
-      preview: row.preview || '',
-      characterId: row.character_id,
-      apiProfileId: row.api_profile_id,
-      isDeleted: row.is_deleted
+      name: row.name,
+      characterId: row.character_id || '',
+      enabled: row.enabled !== false,
+      scanDepth: row.scan_depth || LOREBOOK_SCAN_DEPTH,
+      tokenBudget: row.token_budget || LOREBOOK_TOKEN_BUDGET,
+      entries: Array.isArray(row.entries) ? row.entries : [],
+      updatedAt: remoteAt,
+      syncedAt: remoteAt
     };
     if (existing) {
       Object.assign(existing, merged);
     } else {
-      state.conversationsIndex.push(merged);
+      state.lorebooks.push(merged);
+    }
+  });
+  saveLocal(STORAGE_KEYS.lorebooks, state.lorebooks);
+}
+
+async function queueUnsyncedLorebooks() {
+  const pendingKeys = new Set((await getPendingOps()).map(getPendingOpKey));
+  const unsynced = state.lorebooks.filter((book) => (
+    !book.syncedAt && !pendingKeys.has(getPendingOpKey({ table: 'lorebooks', payload: book }))
+  ));
+  for (const book of unsynced) {
+    await addPendingOp(buildLorebookOp(book, 'create'));
+  }
+}
+
+async function queueUnsyncedCharacters() {
+  const unsynced = state.charactersIndex.filter((character) => !character.updatedAt);
+  for (const character of unsynced) {
+    character.updatedAt = Date.now();
+    await addPendingOp(buildCharacterOp(character, 'create'));
+    if (await getAvatar(character.avatarKey)) {
+      character.avatarUpdatedAt = character.updatedAt;
+      await addPendingOp(buildAvatarOp(character));
+    }
+  }
+  if (unsynced.length) saveLocal(STORAGE_KEYS.characters, state.charactersIndex);
+}
+
+function recordSyncConflicts(table, conflicts) {
+  if (!conflicts.length) return;
+  const ids = new Set(conflicts.map((conflict) => conflict.id));
+  state.syncConflicts = [
+    ...state.syncConflicts.filter((item) => !(item.table === table && ids.has(item.id))),
+    ...conflicts.map((conflict) => ({ ...conflict, table, detectedAt: Date.now() }))
+  ];
+  saveLocal(STORAGE_KEYS.syncConflicts, state.syncConflicts);
+}
+
+function hasSyncConflict(table, id) {
+  return state.syncConflicts.some((item) => item.table === table && item.id === id);
+}
+
+function mapConversationFromCloud(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    updatedAt: Date.parse(row.updated_at) || Date.now(),
+    preview: row.preview || '',
+    characterId: row.character_id,
+    characterIds: Array.isArray(row.character_ids) ? row.character_ids : [],
+    turnMode: row.turn_mode || 'round-robin',
+    apiProfileId: row.api_profile_id,
+    model: row.model || '',
+    parentId: row.parent_id || null,
+    forkMessageId: row.fork_message_id || null,
+    summary: row.summary || '',
+    summaryUntil: Date.parse(row.summary_until) || 0,
+    generation: normalizeGenerationOverrides(row.generation),
+    systemPromptOverride: row.system_prompt_override || '',
+    isDeleted: row.is_deleted
+  };
+}
+
+function mergeConversationsFromCloud(rows) {
+  const localById = new Map(state.conversationsIndex.map((item) => [item.id, item]));
+  const { records, conflicts } = mergeSyncRecords(
+    localById,
+    rows.map(mapConversationFromCloud),
+    CONVERSATION_CONFLICT_FIELDS
+  );
+  records.forEach((record) => {
+    const existing = localById.get(record.id);
+    if (existing) {
+      Object.assign(existing, record);
+    } else {
+      state.conversationsIndex.push(record);
     }
   });
+  recordSyncConflicts('conversations', conflicts);
   saveLocal(STORAGE_KEYS.conversations, state.conversationsIndex);
 }
 
-async function mergeMessagesFromCloud(rows) {
+async function mergeMessagesFromCloud(rows, { countUnread = false } = {}) {
   const grouped = rows.reduce((acc, row) => {
     if (!acc[row.conversation_id]) acc[row.conversation_id] = [];
     acc[row.conversation_id].push(row);
     return acc;
   }, {});
   for (const [conversationId, messages] of Object.entries(grouped)) {
-    const local = state.messagesCache.get(conversationId) || await getMessages(conversationId);
+    const remote = messages.map(mapMessageFromCloud);
+    const local = state.messagesCache.get(conversationId);
+    const localById = new Map((await getMessagesByIds(remote.map((item) => item.id))).map((item) => [item.id, item]));
+    const remoteIds = new Set(remote.map((item) => item.id));
+    local?.forEach((message) => {
+      if (remoteIds.has(message.id)) localById.set(message.id, message);
+    });
+    const { records: incoming, conflicts } = mergeSyncRecords(localById, remote, MESSAGE_CONFLICT_FIELDS);
+    await saveMessages(conversationId, incoming);
+    await removeMessageAttachments(incoming.filter((message) => message.isDeleted));
+    recordSyncConflicts('messages', conflicts);
+    const conversation = getConversation(conversationId);
+    const unseen = remote.filter((message) => !localById.has(message.id) && !message.isDeleted).length;
+    if (countUnread && unseen && conversation && state.activeConversationId !== conversationId) {
+      conversation.unreadCount = (conversation.unreadCount || 0) + unseen;
+      saveLocal(STORAGE_KEYS.conversations, state.conversationsIndex);
+    }
+    if (!local) continue;
+    const paging = getMessagePaging(conversationId);
     const map = new Map(local.map((msg) => [msg.id, msg]));
-    messages.forEach((row) => {
-      map.set(row.id, {
-        id: row.id,
-        conversationId: row.conversation_id,
-        role: row.role,
-        content: row.content,
-        model: row.model || '',
-        tokens: {
-          prompt: row.tokens_prompt ?? null,
-          completion: row.tokens_completion ?? null,
-          total: row.tokens_total ?? null
-        },
-        createdAt: Date.parse(row.created_at) || Date.now(),
-        updatedAt: Date.parse(row.updated_at) || Date.now(),
-        isDeleted: row.is_deleted
-      });
+    incoming.forEach((message) => {
+      if (map.has(message.id) || !hasMoreMessages(paging) || message.createdAt >= paging.oldestLoadedAt) {
+        map.set(message.id, message);
+      }
     });
     const merged = Array.from(map.values()).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
     state.messagesCache.set(conversationId, merged);
-    await saveMessages(conversationId, merged);
   }
 }
 
+function mapMessageFromCloud(row) {
+  return {
+    id: row.id,
+    conversationId: row.conversation_id,
+    role: row.role,
+    characterId: row.character_id || null,
+    content: row.content,
+    attachments: Array.isArray(row.attachments) ? row.attachments : [],
+    model: row.model || '',
+    tokens: {
+      prompt: row.tokens_prompt ?? null,
+      completion: row.tokens_completion ?? null,
+      total: row.tokens_total ?? null
+    },
+    stopped: Boolean(row.is_stopped),
+    isGreeting: Boolean(row.is_greeting),
+    loreHits: Array.isArray(row.lore_hits) ? row.lore_hits : [],
+    versionGroup: row.version_group || row.id,
+    isActiveVersion: row.is_active_version !== false,
+    createdAt: Date.parse(row.created_at) || Date.now(),
+    updatedAt: Date.parse(row.updated_at) || Date.now(),
+    isDeleted: row.is_deleted
+  };
+}
+
+async function findLocalMessage(message) {
+  const cached = state.messagesCache.get(message.conversationId)?.find((item) => item.id === message.id);
+  if (cached) return cached;
+  const [stored] = await getMessagesByIds([message.id]);
+  return stored;
+}
+
+async function markRecordSynced(op, serverUpdatedAt) {
+  if (!serverUpdatedAt) return;
+  const synced = { syncedAt: serverUpdatedAt, syncedUpdatedAt: getRecordTime(op.payload) };
+  if (op.table === 'lorebooks') {
+    const book = state.lorebooks.find((item) => item.id === op.payload.id);
+    if (book && !(book.syncedAt >= serverUpdatedAt)) {
+      book.syncedAt = serverUpdatedAt;
+      saveLocal(STORAGE_KEYS.lorebooks, state.lorebooks);
+    }
+  }
+  if (op.table === 'conversations') {
+    const conversation = getConversation(op.payload.id);
+    if (conversation && !(conversation.syncedAt >= serverUpdatedAt)) {
+      Object.assign(conversation, synced);
+      saveLocal(STORAGE_KEYS.conversations, state.conversationsIndex);
+    }
+  }
+  if (op.table === 'messages') {
+    const message = await findLocalMessage(op.payload);
+    if (message && !(message.syncedAt >= serverUpdatedAt)) {
+      Object.assign(message, synced);
+      await saveMessages(op.payload.conversationId, [message]);
+    }
+  }
+}
+
+async function pushPendingOp(op) {
+  if (op.table === 'characters') {
+    const { error } = await state.supabase.from('characters').upsert(mapCharacterToCloud(op.payload));
+    if (error) throw error;
+  }
+  if (op.table === 'avatars') {
+    await uploadCharacterAvatar(op.payload.id);
+  }
+  if (op.table === 'lorebooks') {
+    const { data, error } = await state.supabase
+      .from('lorebooks')
+      .upsert(mapLorebookToCloud(op.payload))
+      .select('updated_at');
+    if (error) throw error;
+    return Date.parse(data?.[0]?.updated_at) || null;
+  }
+  if (op.table === 'secure_settings') {
+    await pushSecureSettings();
+  }
+  if (op.table === 'conversations') {
+    const query = op.action === 'delete'
+      ? state.supabase.from('conversations').update({ is_deleted: true }).eq('id', op.payload.id)
+      : state.supabase.from('conversations').upsert(mapConversationToCloud(op.payload));
+    const { data, error } = await query.select('updated_at');
+    if (error) throw error;
+    return Date.parse(data?.[0]?.updated_at) || null;
+  }
+  if (op.table === 'messages') {
+    if (op.action === 'delete') {
+      await removeStoredAttachments(op.payload);
+      const { data, error } = await state.supabase
+        .from('messages')
+        .update({ is_deleted: true })
+        .eq('id', op.payload.id)
+        .select('updated_at');
+      if (error) throw error;
+      return Date.parse(data?.[0]?.updated_at) || null;
+    }
+    await uploadMessageAttachments(op.payload);
+    const result = await storeMessageInSupabase(op.payload);
+    if (!result.success) throw result.error;
+    return result.updatedAt;
+  }
+  return null;
+}
+
+function isNetworkError(error) {
+  return !error?.code && /fetch|network/i.test(error?.message || '');
+}
+
+function getSyncRetryDelay(attempts) {
+  return Math.min(SYNC_RETRY_BASE_MS * 2 ** (attempts - 1), SYNC_RETRY_MAX_MS);
+}
+
+async function failPendingOp(op, error) {
+  const attempts = (op.attempts || 0) + 1;
+  const dead = attempts >= SYNC_MAX_ATTEMPTS || SYNC_PERMANENT_ERROR_CODES.includes(error?.code);
+  await updatePendingOp(op.id, {
+    attempts,
+    dead,
+    lastError: error?.message || String(error),
+    nextAttemptAt: dead ? 0 : Date.now() + getSyncRetryDelay(attempts)
+  });
+}
+
+let syncRetryTimer;
+
+function scheduleSyncRetry(ops) {
+  clearTimeout(syncRetryTimer);
+  const waiting = ops.filter((op) => !op.dead && op.nextAttemptAt > Date.now());
+  if (!waiting.length) return;
+  const nextAt = Math.min(...waiting.map((op) => op.nextAttemptAt));
+  syncRetryTimer = setTimeout(runCloudSync, Math.max(nextAt - Date.now(), 0));
+}
+
 async function pushPendingOps() {
-  if (!state.supabase || !state.session) return;
-  const ops = await getPendingOps();
+  if (!state.supabase || !state.session || navigator.onLine === false) return;
+  const ops = (await getPendingOps()).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  const blocked = new Set();
   for (const op of ops) {
+    const scope = getPendingOpScope(op);
+    if (op.dead || hasSyncConflict(op.table, op.payload?.id)) {
+      if (op.dead && op.table === 'conversations') blocked.add(scope);
+      continue;
+    }
+    if (blocked.has(scope) || op.nextAttemptAt > Date.now()) {
+      blocked.add(scope);
+      continue;
+    }
     try {
-      if (op.table === 'conversations') {
-        if (op.action === 'delete') {
-          await state.supabase.from('conversations').update({ is_deleted: true }).eq('id', op.payload.id);
-        } else {
-          await state.supabase.from('conversations').upsert(mapConversationToCloud(op.payload));
-        }
-      }
-      if (op.table === 'messages') {
-        if (op.action === 'delete') {
-          await state.supabase.from('messages').update({ is_deleted: true }).eq('id', op.payload.id);
-        } else {
-          const result = await storeMessageInSupabase(op.payload);
-          if (!result.success) throw result.error;
-        }
-      }
-      await clearPendingOp(op.id);
+      const serverUpdatedAt = await pushPendingOp(op);
+      await clearPendingOp(op.id, op.revision || 0);
+      await markRecordSynced(op, serverUpdatedAt);
     } catch (error) {
       console.error('pending op failed', op, error);
-      throw error;
+      if (isNetworkError(error)) throw error;
+      blocked.add(scope);
+      await failPendingOp(op, error);
+    }
+  }
+  const remaining = await getPendingOps();
+  state.deadOps = remaining.filter((op) => op.dead);
+  scheduleSyncRetry(remaining);
+}
+
+async function retryDeadOp(opId) {
+  await updatePendingOp(opId, { dead: false, attempts: 0, nextAttemptAt: 0, lastError: '' });
+  state.deadOps = state.deadOps.filter((op) => op.id !== opId);
+  runCloudSync();
+}
+
+async function discardDeadOp(opId) {
+  if (!confirm('丢弃后该修改不会再上传到云端，确定丢弃吗？')) return;
+  await clearPendingOp(opId);
+  state.deadOps = state.deadOps.filter((op) => op.id !== opId);
+}
+
+function describePendingOp(op) {
+  const label = op.payload?.title || op.payload?.name || op.payload?.content || op.payload?.id || '';
+  return `${PENDING_OP_LABELS[op.table] || op.table} · ${shorten(label, 24)}`;
+}
+
+async function pullTableChanges(table, label, mergeRows) {
+  let cursor = getSyncCursor(table);
+  let fetched = 0;
+  let total = 0;
+  for (;;) {
+    let query = state.supabase
+      .from(table)
+      .select('*', fetched ? undefined : { count: 'exact' })
+      .order('updated_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(SYNC_PAGE_SIZE);
+    if (cursor) {
+      query = query.or(`updated_at.gt."${cursor.updatedAt}",and(updated_at.eq."${cursor.updatedAt}",id.gt."${cursor.id}")`);
+    }
+    const { data, error, count } = await query;
+    if (error) throw error;
+    const rows = data || [];
+    if (!fetched) total = count || rows.length;
+    if (!rows.length) break;
+    await mergeRows(rows);
+    const last = rows[rows.length - 1];
+    cursor = { updatedAt: last.updated_at, id: last.id };
+    setSyncCursor(table, cursor);
+    fetched += rows.length;
+    if (total > SYNC_PAGE_SIZE) {
+      setSyncProgress(`正在同步${label} ${Math.min(fetched, total)}/${total}`);
     }
+    if (rows.length < SYNC_PAGE_SIZE) break;
   }
 }
 
 async function pullRemoteChanges() {
   if (!state.supabase || !state.session) return;
-  const since = getLastSyncAt();
-  const sinceIso = new Date(since || 0).toISOString();
-  const { data: conversations, error: convoError } = await state.supabase
-    .from('conversations')
-    .select('*')
-    .gte('updated_at', sinceIso);
-  if (convoError) throw convoError;
-  const { data: messages, error: msgError } = await state.supabase
-    .from('messages')
-    .select('*')
-    .gte('updated_at', sinceIso);
-  if (msgError) throw msgError;
-  mergeConversationsFromCloud(conversations || []);
-  await mergeMessagesFromCloud(messages || []);
-  setLastSyncAt(Date.now());
+  try {
+    await pullTableChanges('characters', '角色', mergeCharactersFromCloud);
+    await pullTableChanges('lorebooks', '世界书', mergeLorebooksFromCloud);
+    await pullTableChanges('conversations', '对话', async (rows) => mergeConversationsFromCloud(rows));
+    const countUnread = Boolean(getSyncCursor('messages'));
+    await pullTableChanges('messages', '消息', (rows) => mergeMessagesFromCloud(rows, { countUnread }));
+  } finally {
+    setSyncProgress('');
+  }
+  await pullSecureSettings();
 }
 
+let syncInFlight = null;
+let syncRerun = false;
+let syncTimer;
+
 async function runCloudSync() {
   if (!state.supabase || !state.session) return;
+  if (syncInFlight) {
+    syncRerun = true;
+    return;
+  }
+  syncInFlight = (async () => {
+    try {
+      setSyncStatus('syncing');
+      await pullRemoteChanges();
+      await queueUnsyncedCharacters();
+      await queueUnsyncedLorebooks();
+      await pushPendingOps();
+      if (state.syncConflicts.length) {
+        setSyncStatus('conflict', `有 ${state.syncConflicts.length} 项同步冲突待处理。`);
+      } else if (state.deadOps.length) {
+        setSyncStatus('error', `有 ${state.deadOps.length} 项修改上传失败，请在下方处理。`);
+      } else {
+        setSyncStatus('synced');
+      }
+    } catch (error) {
+      console.error('sync error', error);
+      setSyncStatus('error', `同步失败：${error.message || '未知错误'}`);
+    }
+  })();
+  await syncInFlight;
+  syncInFlight = null;
+  if (syncRerun) {
+    syncRerun = false;
+    runCloudSync();
+  }
+}
+
+function scheduleCloudSync() {
+  if (!state.session) return;
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(runCloudSync, SYNC_DEBOUNCE_MS);
+}
+
+function getSecureSyncPayload() {
+  const settings = SECURE_SETTING_KEYS.reduce((acc, key) => {
+    acc[key] = state.settings[key];
+    return acc;
+  }, {});
+  return {
+    updatedAt: state.settings.secureUpdatedAt || Date.now(),
+    settings,
+    apiProfiles: state.apiProfiles
+  };
+}
+
+function applySecureSyncPayload(payload) {
+  if (!payload || !Array.isArray(payload.apiProfiles)) return;
+  SECURE_SETTING_KEYS.forEach((key) => {
+    if (payload.settings?.[key] !== undefined) state.settings[key] = payload.settings[key];
+  });
+  state.settings.secureUpdatedAt = payload.updatedAt || Date.now();
+  state.apiProfiles = payload.apiProfiles.map(normalizeProfile);
+  if (!state.apiProfiles.length) {
+    state.apiProfiles = [DEFAULT_PROFILE];
+  }
+  saveLocal(STORAGE_KEYS.settings, state.settings);
+  saveLocal(STORAGE_KEYS.apiProfiles, state.apiProfiles);
+  applyTheme();
+}
+
+async function deriveVaultKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: VAULT_KDF_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptVaultPayload(key, payload) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(payload))
+  );
+  return { iv: bytesToBase64(iv), ciphertext: bytesToBase64(new Uint8Array(ciphertext)) };
+}
+
+async function decryptVaultPayload(key, row) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(row.iv) },
+    key,
+    base64ToBytes(row.ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+async function loadVaultKey() {
+  const entry = await withStore('vault', 'readonly', (store) => {
+    return new Promise((resolve) => {
+      const request = store.get('secure-settings');
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => resolve(null);
+    });
+  });
+  state.vault = entry ? { key: entry.key, salt: entry.salt } : null;
+  return state.vault;
+}
+
+async function storeVaultKey(key, salt) {
+  await withStore('vault', 'readwrite', (store) => store.put({ id: 'secure-settings', key, salt }));
+  state.vault = { key, salt };
+}
+
+async function clearVaultKey() {
+  await withStore('vault', 'readwrite', (store) => store.delete('secure-settings'));
+  state.vault = null;
+}
+
+async function fetchSecureSettingsRow() {
+  const { data, error } = await state.supabase
+    .from('secure_settings')
+    .select('*')
+    .eq('user_id', state.session.user.id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function pushSecureSettings() {
+  if (!state.settings.secureSyncEnabled || !state.vault) return;
+  const { iv, ciphertext } = await encryptVaultPayload(state.vault.key, getSecureSyncPayload());
+  const { error } = await state.supabase.from('secure_settings').upsert({
+    user_id: state.session.user.id,
+    salt: state.vault.salt,
+    iv,
+    ciphertext
+  });
+  if (error) throw error;
+}
+
+async function pullSecureSettings() {
+  if (!state.settings.secureSyncEnabled || !state.vault) return;
+  const row = await fetchSecureSettingsRow();
+  if (!row) return;
+  if (row.salt !== state.vault.salt) {
+    await clearVaultKey();
+    setSecureSyncError('云端口令已更改，请重新输入口令解锁。');
+    return;
+  }
+  const payload = await decryptVaultPayload(state.vault.key, row);
+  if ((payload.updatedAt || 0) > (state.settings.secureUpdatedAt || 0)) {
+    applySecureSyncPayload(payload);
+    render();
+  }
+}
+
+function setSecureSyncError(message) {
+  state.secureSyncError = message;
+  const notice = document.querySelector('[data-role="secure-error"]');
+  if (notice) notice.textContent = message;
+}
+
+let secureSyncTimer;
+
+function queueSecureSettingsSync() {
+  state.settings.secureUpdatedAt = Date.now();
+  saveLocal(STORAGE_KEYS.settings, state.settings);
+  if (!state.settings.secureSyncEnabled) return;
+  clearTimeout(secureSyncTimer);
+  secureSyncTimer = setTimeout(async () => {
+    await addPendingOp({
+      id: uuid(),
+      table: 'secure_settings',
+      action: 'update',
+      payload: {},
+      createdAt: Date.now()
+    });
+    scheduleCloudSync();
+  }, 800);
+}
+
+async function enableSecureSync() {
+  const input = document.querySelector('[data-role="secure-passphrase"]');
+  const passphrase = input?.value || '';
+  if (!state.supabase || !state.session) {
+    alert('请先登录云同步。');
+    return;
+  }
+  if (passphrase.length < 8) {
+    setSecureSyncError('口令至少需要 8 个字符。');
+    return;
+  }
   try {
-    setSyncStatus('syncing');
-    await pushPendingOps();
-    await pullRemoteChanges();
-    setSyncStatus('synced');
+    const row = await fetchSecureSettingsRow();
+    const salt = row?.salt || bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+    const key = await deriveVaultKey(passphrase, base64ToBytes(salt));
+    if (row) {
+      const payload = await decryptVaultPayload(key, row).catch(() => {
+        throw new Error('口令错误，无法解密云端数据。');
+      });
+      applySecureSyncPayload(payload);
+    }
+    await storeVaultKey(key, salt);
+    state.settings.secureSyncEnabled = true;
+    saveLocal(STORAGE_KEYS.settings, state.settings);
+    if (!row) await pushSecureSettings();
+    state.secureSyncError = '';
+    render();
   } catch (error) {
-    console.error('sync error', error);
-    setSyncStatus('error', `同步失败：${error.message || '未知错误'}`);
+    console.error('secure sync enable failed', error);
+    setSecureSyncError(error.message || '开启失败');
+  }
+}
+
+async function disableSecureSync() {
+  if (!confirm('关闭后本机不再同步 API 配置与设置，云端密文保留。确定关闭吗？')) return;
+  await clearVaultKey();
+  state.settings.secureSyncEnabled = false;
+  saveLocal(STORAGE_KEYS.settings, state.settings);
+  render();
+}
+
+async function removePendingOpsFor(table, id) {
+  const ops = await getPendingOps();
+  for (const op of ops) {
+    if (op.table === table && op.payload?.id === id) await clearPendingOp(op.id);
+  }
+}
+
+async function resolveSyncConflict(table, id, choice) {
+  const conflict = state.syncConflicts.find((item) => item.table === table && item.id === id);
+  if (!conflict) return;
+  state.syncConflicts = state.syncConflicts.filter((item) => item !== conflict);
+  saveLocal(STORAGE_KEYS.syncConflicts, state.syncConflicts);
+  const remoteAt = getRecordTime(conflict.remote);
+  if (table === 'conversations') {
+    const conversation = getConversation(id);
+    if (!conversation) return;
+    if (choice === 'remote') {
+      await removePendingOpsFor(table, id);
+      Object.assign(conversation, conflict.remote, { syncedAt: remoteAt, syncedUpdatedAt: remoteAt });
+      saveLocal(STORAGE_KEYS.conversations, state.conversationsIndex);
+    } else {
+      Object.assign(conversation, { syncedAt: remoteAt, updatedAt: Date.now() });
+      saveLocal(STORAGE_KEYS.conversations, state.conversationsIndex);
+      queueConversationSync(conversation, 'update');
+    }
   }
+  if (table === 'messages') {
+    const conversationId = conflict.local.conversationId;
+    const cached = state.messagesCache.get(conversationId);
+    const [stored] = await getMessagesByIds([id]);
+    const message = cached?.find((item) => item.id === id) || stored;
+    if (!message) return;
+    if (choice === 'remote') {
+      await removePendingOpsFor(table, id);
+      Object.assign(message, conflict.remote, { syncedAt: remoteAt, syncedUpdatedAt: remoteAt });
+      await saveMessages(conversationId, [message]);
+    } else {
+      Object.assign(message, { syncedAt: remoteAt, updatedAt: Date.now() });
+      await saveMessages(conversationId, [message]);
+      queueMessageSync(message, 'update');
+    }
+  }
+  scheduleCloudSync();
+}
+
+function describeConflictValue(conflict, field, side) {
+  const value = conflict[side][field];
+  if (field === 'characterId') return getCharacter(value)?.name || value || '';
+  if (field === 'apiProfileId') return state.apiProfiles.find((item) => item.id === value)?.name || value || '';
+  return value ?? '';
+}
+
+function openConflictModal() {
+  const items = state.syncConflicts.map((conflict) => {
+    const title = conflict.table === 'messages'
+      ? `消息 · ${getConversation(conflict.local.conversationId)?.title || ''}`
+      : `对话 · ${conflict.local.title || ''}`;
+    const fields = conflict.fields.map((field) => `
+      <div class="conflict-field">
+        <div class="notice">${CONFLICT_FIELD_LABELS[field] || field}</div>
+        <div class="conflict-side"><span class="badge">本机</span>${escapeHtml(String(describeConflictValue(conflict, field, 'local')))}</div>
+        <div class="conflict-side"><span class="badge">云端</span>${escapeHtml(String(describeConflictValue(conflict, field, 'remote')))}</div>
+      </div>
+    `).join('');
+    return `
+      <div class="card conflict-item">
+        <strong>${escapeHtml(title)}</strong>
+        <div class="notice">本机修改于 ${formatDate(getRecordTime(conflict.local))} ${formatTime(getRecordTime(conflict.local))}，云端修改于 ${formatDate(getRecordTime(conflict.remote))} ${formatTime(getRecordTime(conflict.remote))}</div>
+        ${fields}
+        <div class="row">
+          <button class="outline" data-action="resolve-conflict" data-table="${conflict.table}" data-id="${conflict.id}" data-choice="local">保留本机</button>
+          <button class="primary" data-action="resolve-conflict" data-table="${conflict.table}" data-id="${conflict.id}" data-choice="remote">使用云端</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+  openModal(`
+    <h3>同步冲突</h3>
+    <div class="notice">以下记录在本机和云端都被修改过，请选择要保留的版本。</div>
+    <div class="list conflict-list">
+      ${items || '<div class="notice">没有待处理的冲突。</div>'}
+    </div>
+    <div class="row">
+      <button class="outline" data-action="close-modal">关闭</button>
+    </div>
+  `);
 }
 
 function getActiveProfile(conversation) {
   const profileId = conversation?.apiProfileId || state.settings.activeApiProfileId;
-  return state.apiProfiles.find((item) => item.id === profileId) || state.apiProfiles[0];
+  const profile = state.apiProfiles.find((item) => item.id === profileId) || state.apiProfiles[0];
+  return profile && conversation?.model ? { ...profile, model: conversation.model } : profile;
+}
+
+function getCharacterDefaultProfileId(character) {
+  const profileId = character?.preferredProfileId;
+  return state.apiProfiles.some((item) => item.id === profileId) ? profileId : state.settings.activeApiProfileId;
 }
 
 function getCharacter(characterId) {
   return state.charactersIndex.find((item) => item.id === characterId) || state.charactersIndex[0];
 }
 
+function getConversationCharacters(conversation) {
+  const ids = conversation?.characterIds?.length ? conversation.characterIds : [conversation?.characterId];
+  const characters = ids.map((id) => state.charactersIndex.find((item) => item.id === id)).filter(Boolean);
+  return characters.length ? characters : [getCharacter(conversation?.characterId)];
+}
+
+function isGroupConversation(conversation) {
+  return getConversationCharacters(conversation).length > 1;
+}
+
+function getNextRoundRobinSpeaker(conversation, messages) {
+  const members = getConversationCharacters(conversation);
+  const last = [...messages].reverse().find((message) =>
+    message.role === 'assistant' && !message.temp && isVisibleMessage(message) && message.characterId
+  );
+  const index = members.findIndex((item) => item.id === last?.characterId);
+  return members[(index + 1) % members.length];
+}
+
 function getConversation(conversationId) {
   return state.conversationsIndex.find((item) => item.id === conversationId);
 }
@@ -566,12 +1991,56 @@ function getConversation(conversationId) {
 function updateConversationPreview(conversationId, message) {
   const convo = getConversation(conversationId);
   if (!convo) return;
-  convo.preview = shorten(message.content, 40);
+  convo.preview = shorten(message.content || (message.attachments?.length ? '[图片]' : ''), 40);
   convo.updatedAt = message.createdAt || Date.now();
   saveLocal(STORAGE_KEYS.conversations, state.conversationsIndex);
   queueConversationSync(convo, 'update');
 }
 
+function buildCharacterOp(character, action) {
+  return {
+    id: uuid(),
+    table: 'characters',
+    action,
+    payload: { ...character },
+    createdAt: Date.now()
+  };
+}
+
+function buildAvatarOp(character) {
+  return {
+    id: uuid(),
+    table: 'avatars',
+    action: 'upload',
+    payload: { id: character.id },
+    createdAt: Date.now()
+  };
+}
+
+function queueCharacterSync(character, action, { avatar = false } = {}) {
+  character.updatedAt = Date.now();
+  if (avatar) character.avatarUpdatedAt = character.updatedAt;
+  saveLocal(STORAGE_KEYS.characters, state.charactersIndex);
+  addPendingOp(buildCharacterOp(character, action));
+  if (avatar) addPendingOp(buildAvatarOp(character));
+  scheduleCloudSync();
+}
+
+function buildLorebookOp(book, action) {
+  return {
+    id: uuid(),
+    table: 'lorebooks',
+    action,
+    payload: { ...book, isDeleted: action === 'delete' },
+    createdAt: Date.now()
+  };
+}
+
+function queueLorebookSync(book, action) {
+  addPendingOp(buildLorebookOp(book, action));
+  scheduleCloudSync();
+}
+
 function queueConversationSync(conversation, action) {
   const op = {
     id: uuid(),
@@ -584,7 +2053,7 @@ function queueConversationSync(conversation, action) {
     createdAt: Date.now()
   };
   addPendingOp(op);
-  if (state.session) runCloudSync();
+  scheduleCloudSync();
 }
 
 function queueMessageSync(message, action) {
@@ -599,14 +2068,7 @@ function queueMessageSync(message, action) {
     createdAt: Date.now()
   };
   addPendingOp(op);
-  if (state.session) {
-    runCloudSync();
-    if (action !== 'delete') {
-      storeMessageInSupabase(message).catch((error) => {
-        console.error('direct message store failed', error);
-      });
-    }
-  }
+  scheduleCloudSync();
 }
 
 function render() {
@@ -629,22 +2091,28 @@ async function renderConversations() {
     await renderChatView();
     return;
   }
+  if (state.search.open) {
+    await renderSearchView();
+    return;
+  }
   const items = await Promise.all(
-    state.conversationsIndex
-      .filter((item) => !item.isDeleted)
-      .sort((a, b) => b.updatedAt - a.updatedAt)
-      .map(async (item) => {
+    flattenConversationTree(state.conversationsIndex.filter((item) => !item.isDeleted))
+      .map(async ({ item, depth }) => {
         const character = getCharacter(item.characterId);
         const preview = item.preview || '暂无消息';
+        const indent = depth ? ` style="margin-left:${Math.min(depth, 3) * 18}px;"` : '';
         return `
-          <div class="list-item glass" data-action="open-conversation" data-id="${item.id}">
+          <div class="list-item glass${depth ? ' fork' : ''}" data-action="open-conversation" data-id="${item.id}"${indent}>
             <div class="avatar">${await renderAvatar(character.avatarKey, character.name)}</div>
             <div class="chat-list-item">
               <div class="meta">
-                <strong>${item.title}</strong>
+                <strong>${depth ? '↳ ' : ''}${item.title}</strong>
                 <div class="preview">${preview}</div>
               </div>
-              <time>${formatDate(item.updatedAt)}</time>
+              <div class="list-aside">
+                <time>${formatDate(item.updatedAt)}</time>
+                ${item.unreadCount ? `<span class="unread-badge">${item.unreadCount > 99 ? '99+' : item.unreadCount}</span>` : ''}
+              </div>
             </div>
           </div>
         `;
@@ -655,7 +2123,10 @@ async function renderConversations() {
     <section class="section">
       <div class="row">
         <h2>对话</h2>
-        <button class="icon-button" data-action="new-conversation">＋</button>
+        <div class="badge-group">
+          <button class="icon-button" data-action="open-search">🔍</button>
+          <button class="icon-button" data-action="new-conversation">＋</button>
+        </div>
       </div>
       <div class="list">
         ${items.join('') || '<div class="card">还没有对话，点右上角新建吧。</div>'}
@@ -664,6 +2135,296 @@ async function renderConversations() {
   `;
 }
 
+const SEARCH_CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const SEARCH_TOKEN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|[\p{L}\p{N}_]+/gu;
+
+function tokenizeForSearch(text) {
+  const terms = new Set();
+  for (const [chunk] of String(text || '').toLowerCase().matchAll(SEARCH_TOKEN_PATTERN)) {
+    if (!SEARCH_CJK_PATTERN.test(chunk)) {
+      terms.add(chunk);
+      continue;
+    }
+    const chars = Array.from(chunk);
+    chars.forEach((char, index) => {
+      terms.add(char);
+      if (index < chars.length - 1) terms.add(char + chars[index + 1]);
+    });
+  }
+  return terms;
+}
+
+function getSearchQueryTerms(query) {
+  const terms = [];
+  for (const [chunk] of String(query || '').toLowerCase().matchAll(SEARCH_TOKEN_PATTERN)) {
+    if (!SEARCH_CJK_PATTERN.test(chunk)) {
+      terms.push({ term: chunk, prefix: true });
+      continue;
+    }
+    const chars = Array.from(chunk);
+    if (chars.length === 1) {
+      terms.push({ term: chars[0], prefix: false });
+    }
+    for (let index = 0; index < chars.length - 1; index += 1) {
+      terms.push({ term: chars[index] + chars[index + 1], prefix: false });
+    }
+  }
+  return terms;
+}
+
+function indexMessagesForSearch(messages) {
+  const index = state.searchIndex;
+  messages.forEach((message) => {
+    const previous = index.docs.get(message.id);
+    if (previous) {
+      previous.terms.forEach((term) => index.terms.get(term)?.delete(message.id));
+      index.docs.delete(message.id);
+    }
+    if (message.temp || message.isDeleted || !message.content) return;
+    const terms = tokenizeForSearch(message.content);
+    terms.forEach((term) => {
+      if (!index.terms.has(term)) index.terms.set(term, new Set());
+      index.terms.get(term).add(message.id);
+    });
+    index.docs.set(message.id, { message, terms });
+  });
+}
+
+async function ensureSearchIndex() {
+  if (state.searchIndex) return state.searchIndex;
+  state.searchIndex = { terms: new Map(), docs: new Map() };
+  indexMessagesForSearch(await getAllMessages());
+  return state.searchIndex;
+}
+
+function findSearchCandidates(index, queryTerms) {
+  let candidates = null;
+  for (const { term, prefix } of queryTerms) {
+    const matches = new Set();
+    if (prefix) {
+      index.terms.forEach((ids, key) => {
+        if (key.startsWith(term)) ids.forEach((id) => matches.add(id));
+      });
+    } else {
+      (index.terms.get(term) || []).forEach((id) => matches.add(id));
+    }
+    candidates = candidates ? new Set([...candidates].filter((id) => matches.has(id))) : matches;
+    if (!candidates.size) break;
+  }
+  return candidates || new Set();
+}
+
+function highlightSearchText(text, parts) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  parts.forEach((part) => {
+    let from = lower.indexOf(part);
+    while (part && from >= 0) {
+      ranges.push([from, from + part.length]);
+      from = lower.indexOf(part, from + part.length);
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+  let html = '';
+  let last = 0;
+  ranges.forEach(([start, end]) => {
+    if (start < last) return;
+    html += `${escapeHtml(text.slice(last, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    last = end;
+  });
+  return html + escapeHtml(text.slice(last));
+}
+
+function buildSearchSnippet(content, parts) {
+  const lower = content.toLowerCase();
+  const position = parts.reduce((first, part) => {
+    const found = lower.indexOf(part);
+    return found >= 0 && (first < 0 || found < first) ? found : first;
+  }, -1);
+  const start = Math.max(0, position - 24);
+  const end = Math.min(content.length, Math.max(position, 0) + 64);
+  const snippet = content.slice(start, end).replace(/\s+/g, ' ');
+  return `${start > 0 ? '…' : ''}${highlightSearchText(snippet, parts)}${end < content.length ? '…' : ''}`;
+}
+
+async function searchConversations({ query, characterId, model, from, to }) {
+  const parts = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!parts.length) return [];
+  const index = await ensureSearchIndex();
+  const fromTs = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const toTs = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+  const conversations = new Map(
+    state.conversationsIndex
+      .filter((item) => !item.isDeleted && (!characterId || item.characterId === characterId))
+      .map((item) => [item.id, item])
+  );
+  const groups = new Map();
+  const getGroup = (conversation) => {
+    if (!groups.has(conversation.id)) {
+      groups.set(conversation.id, { conversation, titleMatch: false, hits: [] });
+    }
+    return groups.get(conversation.id);
+  };
+
+  conversations.forEach((conversation) => {
+    const title = (conversation.title || '').toLowerCase();
+    if (parts.every((part) => title.includes(part)) && !model && !from && !to) {
+      getGroup(conversation).titleMatch = true;
+    }
+  });
+
+  findSearchCandidates(index, getSearchQueryTerms(query)).forEach((id) => {
+    const { message } = index.docs.get(id);
+    const conversation = conversations.get(message.conversationId);
+    if (!conversation) return;
+    if (model && message.model !== model) return;
+    if (message.createdAt < fromTs || message.createdAt > toTs) return;
+    const content = message.content.toLowerCase();
+    if (!parts.every((part) => content.includes(part))) return;
+    getGroup(conversation).hits.push(message);
+  });
+
+  return Array.from(groups.values())
+    .map((group) => ({
+      ...group,
+      hits: group.hits.sort((a, b) => b.createdAt - a.createdAt),
+      latest: Math.max(group.conversation.updatedAt || 0, ...group.hits.map((hit) => hit.createdAt))
+    }))
+    .sort((a, b) => b.latest - a.latest);
+}
+
+async function renderSearchView() {
+  await ensureSearchIndex();
+  const { query, characterId, model, from, to } = state.search;
+  const models = new Set();
+  state.searchIndex.docs.forEach(({ message }) => {
+    if (message.model) models.add(message.model);
+  });
+  const characterOptions = state.charactersIndex.map((item) =>
+    `<option value="${item.id}" ${item.id === characterId ? 'selected' : ''}>${escapeHtml(item.name)}</option>`
+  ).join('');
+  const modelOptions = Array.from(models).sort().map((item) =>
+    `<option value="${escapeHtml(item)}" ${item === model ? 'selected' : ''}>${escapeHtml(item)}</option>`
+  ).join('');
+
+  view.innerHTML = `
+    <section class="section">
+      <div class="row">
+        <h2>搜索</h2>
+        <button class="icon-button" data-action="close-search">✕</button>
+      </div>
+      <div class="card form-grid">
+        <input type="search" data-role="search-query" placeholder="搜索消息内容或对话标题" value="${escapeHtml(query)}" />
+        <div class="inline-inputs">
+          <select data-role="search-character"><option value="">全部角色</option>${characterOptions}</select>
+          <select data-role="search-model"><option value="">全部模型</option>${modelOptions}</select>
+        </div>
+        <div class="inline-inputs">
+          <label>从 <input type="date" data-role="search-from" value="${from}" /></label>
+          <label>到 <input type="date" data-role="search-to" value="${to}" /></label>
+        </div>
+      </div>
+      <div class="list" data-role="search-results"></div>
+    </section>
+  `;
+  await renderSearchResults();
+}
+
+async function renderSearchResults() {
+  const container = document.querySelector('[data-role="search-results"]');
+  if (!container) return;
+  if (!state.search.query.trim()) {
+    container.innerHTML = '<div class="notice">输入关键词开始搜索，支持中文。</div>';
+    return;
+  }
+  const groups = await searchConversations(state.search);
+  const parts = state.search.query.toLowerCase().split(/\s+/).filter(Boolean);
+  container.innerHTML = groups.map(({ conversation, hits }) => {
+    const character = getCharacter(conversation.characterId);
+    const hitItems = hits.slice(0, 5).map((hit) => `
+      <div class="search-hit" data-action="open-search-hit" data-id="${conversation.id}" data-message="${hit.id}">
+        <div>${buildSearchSnippet(hit.content, parts)}</div>
+        <time>${formatDate(hit.createdAt)} ${formatTime(hit.createdAt)}</time>
+      </div>
+    `).join('');
+    return `
+      <div class="card search-group">
+        <div class="row" data-action="open-search-hit" data-id="${conversation.id}">
+          <strong>${highlightSearchText(conversation.title || '', parts)}</strong>
+          <span class="badge">${escapeHtml(character.name)} · ${hits.length} 条</span>
+        </div>
+        ${hitItems}
+        ${hits.length > 5 ? `<div class="notice">还有 ${hits.length - 5} 条匹配…</div>` : ''}
+      </div>
+    `;
+  }).join('') || '<div class="notice">没有找到匹配的内容。</div>';
+}
+
+let searchTimer;
+
+function handleSearchInput() {
+  const read = (role) => document.querySelector(`[data-role="${role}"]`)?.value || '';
+  state.search = {
+    ...state.search,
+    query: read('search-query'),
+    characterId: read('search-character'),
+    model: read('search-model'),
+    from: read('search-from'),
+    to: read('search-to')
+  };
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(renderSearchResults, 200);
+}
+
+async function openConversationAtMessage(conversationId, messageId) {
+  state.activeConversationId = conversationId;
+  markConversationRead(conversationId);
+  await ensureMessagesLoaded(conversationId, true);
+  const cached = () => state.messagesCache.get(conversationId) || [];
+  while (messageId && !cached().some((item) => item.id === messageId)) {
+    const added = await loadOlderMessages(conversationId);
+    if (!added) break;
+  }
+  state.renderedConversationId = null;
+  await renderChatView();
+  const messages = cached().filter(isVisibleMessage);
+  const index = messages.findIndex((item) => item.id === messageId);
+  if (index < 0) return;
+  state.chatWindow = {
+    conversationId,
+    start: Math.max(0, index - CHAT_WINDOW_SIZE / 2),
+    end: Math.min(messages.length, index + CHAT_WINDOW_SIZE / 2)
+  };
+  renderMessageWindow();
+  const element = document.querySelector(`.message[data-id="${messageId}"]`);
+  if (element) {
+    element.scrollIntoView({ block: 'center' });
+    element.classList.add('search-target');
+  }
+}
+
+function flattenConversationTree(conversations) {
+  const ids = new Set(conversations.map((item) => item.id));
+  const children = new Map();
+  const roots = [];
+  conversations.forEach((item) => {
+    if (item.parentId && item.parentId !== item.id && ids.has(item.parentId)) {
+      if (!children.has(item.parentId)) children.set(item.parentId, []);
+      children.get(item.parentId).push(item);
+    } else {
+      roots.push(item);
+    }
+  });
+  const byRecent = (a, b) => b.updatedAt - a.updatedAt;
+  const result = [];
+  const visit = (item, depth) => {
+    result.push({ item, depth });
+    (children.get(item.id) || []).sort(byRecent).forEach((child) => visit(child, depth + 1));
+  };
+  roots.sort(byRecent).forEach((item) => visit(item, 0));
+  return result;
+}
+
 async function renderChatView() {
   const conversation = getConversation(state.activeConversationId);
   if (!conversation) {
@@ -673,62 +2434,304 @@ async function renderChatView() {
   }
   const character = getCharacter(conversation.characterId);
   const profile = getActiveProfile(conversation);
-  const messages = (state.messagesCache.get(conversation.id) || []).filter((msg) => !msg.isDeleted);
-
-  const messageHtml = await Promise.all(
-    messages.map(async (message) => {
-      const avatarKey = message.role === 'user'
-        ? state.settings.userProfile.avatarKey
-        : character.avatarKey;
-      const meta = [];
-      if (state.settings.showTimestamp) meta.push(formatTime(message.createdAt));
-      if (state.settings.showModel && message.model) meta.push(message.model);
-      if (state.settings.showTokens) {
-        const promptTokens = message.tokens?.prompt ?? '—';
-        const completionTokens = message.tokens?.completion ?? '—';
-        const totalTokens = message.tokens?.total ?? '—';
-        meta.push(`tokens p:${promptTokens} c:${completionTokens} t:${totalTokens}`);
-      }
-      return `
-        <div class="message ${message.role}" data-action="message-menu" data-id="${message.id}">
-          <div class="row" style="gap:8px; align-items:flex-start;">
-            <div class="avatar" style="width:32px;height:32px;">${await renderAvatar(avatarKey, message.role === 'user' ? '我' : character.name)}</div>
-            <div style="flex:1;">
-              <div>${escapeHtml(message.content)}</div>
-              ${meta.length ? `<div class="message-meta">${meta.map((item) => `<span>${item}</span>`).join('')}</div>` : ''}
-            </div>
-          </div>
+  const parent = conversation.parentId ? getConversation(conversation.parentId) : null;
+  const allMessages = state.messagesCache.get(conversation.id) || [];
+  const versionGroups = groupMessageVersions(allMessages);
+  const messages = allMessages.filter(isVisibleMessage);
+  const markdownEnabled = isMarkdownEnabled(conversation);
+  const context = buildContextWindow({
+    systemPrompt: expandPromptMacros(buildSystemPrompt(character, conversation), { character, messages }),
+    messages: getContextMessages(messages, conversation),
+    contextLength: getModelContextLength(profile, profile?.model),
+    replyReserve: getGenerationParams(conversation).maxTokens
+  });
+
+  const userAvatar = await renderAvatar(state.settings.userProfile.avatarKey, '我');
+  const characterAvatar = await renderAvatar(character.avatarKey, character.name);
+  await Promise.all(messages.flatMap((message) => (message.attachments || []).map(getAttachmentData)));
+  const members = getConversationCharacters(conversation);
+  const isGroup = members.length > 1;
+  const characterAvatars = new Map(await Promise.all(
+    members.map(async (item) => [item.id, await renderAvatar(item.avatarKey, item.name)])
+  ));
+
+  state.chatRender = {
+    conversationId: conversation.id,
+    messages,
+    versionGroups,
+    markdownEnabled,
+    userAvatar,
+    characterAvatar,
+    characterAvatars,
+    isGroup
+  };
+  const paging = getMessagePaging(conversation.id);
+
+  const previousArea = document.querySelector('[data-role="chat-area"]');
+  const keepScrollTop = previousArea && state.renderedConversationId === conversation.id && !isChatNearBottom(previousArea)
+    ? previousArea.scrollTop
+    : null;
+  const draft = document.querySelector('[data-role="message-input"]')?.value || '';
+  if (keepScrollTop === null || state.chatWindow?.conversationId !== conversation.id) {
+    state.chatWindow = {
+      conversationId: conversation.id,
+      start: Math.max(0, messages.length - CHAT_WINDOW_SIZE),
+      end: messages.length
+    };
+  } else {
+    state.chatWindow.end = Math.min(state.chatWindow.end, messages.length);
+    state.chatWindow.start = Math.min(state.chatWindow.start, state.chatWindow.end);
+  }
+
+  view.innerHTML = `
+    <section class="section chat-page">
+      <div class="chat-header card">
+        <div class="avatar">${characterAvatar}</div>
+        <div>
+          <h2>${escapeHtml(members.map((item) => item.name).join('、'))}</h2>
+          ${isGroup ? `<button class="badge" data-action="cycle-turn-mode" data-id="${conversation.id}">群聊 · ${TURN_MODE_LABELS[conversation.turnMode] || TURN_MODE_LABELS['round-robin']}</button>` : ''}
+          ${parent ? `<button class="badge" data-action="open-conversation" data-id="${parent.id}">↰ 分支自 ${parent.title}</button>` : ''}
+          <div class="badge">${profile?.name || '未选择 API'} · ${profile?.model || '未设置模型'}</div>
+          <div class="badge" data-role="context-status">上下文 ${context.included}/${context.total} 条${context.trimmed ? '（已截断）' : ''}</div>
+          ${hasGenerationOverrides(conversation) ? `<button class="badge generation-badge" data-action="edit-generation" data-id="${conversation.id}">自定义参数</button>` : ''}
         </div>
-      `;
-    })
-  );
+        <div class="chat-header-actions">
+          <button class="icon-button" data-action="toggle-markdown">${markdownEnabled ? 'Markdown' : '纯文本'}</button>
+          <button class="icon-button" data-action="edit-summary" data-id="${conversation.id}">摘要</button>
+          <button class="icon-button" data-action="edit-generation" data-id="${conversation.id}">参数</button>
+        </div>
+      </div>
+      <div class="chat-area" data-role="chat-area">
+        <div class="notice history-status" data-role="history-status">${hasMoreMessages(paging) ? '上滑加载更早消息' : ''}</div>
+        ${conversation.summary ? `<div class="notice summary-notice" data-action="edit-summary" data-id="${conversation.id}">📝 更早的对话已整理为摘要，点此查看或编辑</div>` : ''}
+        ${messages.length ? '<div class="message-list" data-role="message-list"></div>' : '<div class="notice">开始和角色聊聊吧～</div>'}
+      </div>
+      ${isGroup ? `
+        <div class="speaker-bar">
+          ${members.map((item) => `<button class="badge" data-action="speak-as" data-id="${item.id}" ${state.loading ? 'disabled' : ''}>让${escapeHtml(item.name)}发言</button>`).join('')}
+        </div>
+      ` : ''}
+      <div class="attachment-tray" data-role="attachment-tray"></div>
+      <div class="chat-composer">
+        <label class="icon-button attach-button" title="添加图片">
+          📎<input type="file" accept="image/*" multiple hidden data-role="attachment-input" />
+        </label>
+        <textarea class="message-input" placeholder="输入消息..." data-role="message-input"></textarea>
+        ${state.loading
+          ? '<button class="outline" data-action="stop-generation">停止</button>'
+          : '<button class="primary" data-action="send-message">发送</button>'}
+      </div>
+      <button class="outline" data-action="back-to-conversations">← 返回对话列表</button>
+    </section>
+  `;
+  const input = document.querySelector('[data-role="message-input"]');
+  if (input && draft && state.renderedConversationId === conversation.id) input.value = draft;
+  state.renderedConversationId = conversation.id;
+  renderAttachmentTray();
+  renderMessageWindow();
+  if (keepScrollTop === null) {
+    scrollChatToBottom();
+  } else {
+    document.querySelector('[data-role="chat-area"]').scrollTop = keepScrollTop;
+  }
+}
+
+function renderMessageItem(message, context) {
+  const meta = [];
+  if (state.settings.showTimestamp) meta.push(formatTime(message.createdAt));
+  if (state.settings.showModel && message.model) meta.push(message.model);
+  if (message.stopped) meta.push('已停止');
+  if (context.isGroup && message.role === 'assistant') {
+    const speaker = state.charactersIndex.find((item) => item.id === message.characterId);
+    if (speaker) meta.unshift(escapeHtml(speaker.name));
+  }
+  if (state.settings.showTokens) {
+    const promptTokens = message.tokens?.prompt ?? '—';
+    const completionTokens = message.tokens?.completion ?? '—';
+    const totalTokens = message.tokens?.total ?? '—';
+    meta.push(`tokens p:${promptTokens} c:${completionTokens} t:${totalTokens}`);
+  }
+  const versions = context.versionGroups.get(getVersionGroupId(message)) || [message];
+  const versionIndex = versions.findIndex((item) => item.id === message.id);
+  const versionPager = versions.length > 1
+    ? `
+      <div class="version-pager">
+        <button class="icon-button" data-action="switch-version" data-id="${message.id}" data-direction="-1" ${versionIndex === 0 ? 'disabled' : ''}>‹</button>
+        <span>${versionIndex + 1}/${versions.length}</span>
+        <button class="icon-button" data-action="switch-version" data-id="${message.id}" data-direction="1" ${versionIndex === versions.length - 1 ? 'disabled' : ''}>›</button>
+      </div>
+    `
+    : '';
+  return `
+    <div class="message ${message.role}" data-action="message-menu" data-id="${message.id}" ${versions.length > 1 ? 'data-versions="true"' : ''}>
+      <div class="row" style="gap:8px; align-items:flex-start;">
+        <div class="avatar" style="width:32px;height:32px;">${message.role === 'user' ? context.userAvatar : context.characterAvatars?.get(message.characterId) || context.characterAvatar}</div>
+        <div style="flex:1; min-width:0;">
+          <div data-role="message-body">${renderMessageBody(message, context.markdownEnabled)}</div>
+          ${renderMessageAttachments(message)}
+          ${meta.length ? `<div class="message-meta">${meta.map((item) => `<span>${item}</span>`).join('')}</div>` : ''}
+          ${versionPager}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+const messageHeights = new Map();
+let chatWindowFrame = null;
+
+function getMessageHeight(message) {
+  return messageHeights.get(message.id) || ESTIMATED_MESSAGE_HEIGHT;
+}
+
+function measureMessageHeights(root) {
+  root.querySelectorAll('.message[data-id]').forEach((element) => {
+    messageHeights.set(element.dataset.id, element.offsetHeight + MESSAGE_GAP);
+  });
+}
+
+function renderMessageWindow() {
+  const list = document.querySelector('[data-role="message-list"]');
+  const context = state.chatRender;
+  const chatWindow = state.chatWindow;
+  if (!list || !context || !chatWindow) return;
+  const { messages } = context;
+  const sumHeights = (items) => items.reduce((sum, message) => sum + getMessageHeight(message), 0);
+  list.innerHTML = `
+    <div data-role="spacer-top" style="height:${sumHeights(messages.slice(0, chatWindow.start))}px;"></div>
+    ${messages.slice(chatWindow.start, chatWindow.end).map((message) => renderMessageItem(message, context)).join('')}
+    <div data-role="spacer-bottom" style="height:${sumHeights(messages.slice(chatWindow.end))}px;"></div>
+  `;
+  measureMessageHeights(list);
+}
+
+function captureChatAnchor(area) {
+  const areaTop = area.getBoundingClientRect().top;
+  const anchor = Array.from(area.querySelectorAll('.message[data-id]'))
+    .find((element) => element.getBoundingClientRect().bottom > areaTop);
+  return anchor ? { id: anchor.dataset.id, top: anchor.getBoundingClientRect().top } : null;
+}
+
+function restoreChatAnchor(area, anchor) {
+  if (!anchor) return;
+  const element = area.querySelector(`.message[data-id="${anchor.id}"]`);
+  if (element) area.scrollTop += element.getBoundingClientRect().top - anchor.top;
+}
+
+function scheduleChatWindowUpdate() {
+  if (chatWindowFrame) return;
+  chatWindowFrame = requestAnimationFrame(updateChatWindow);
+}
+
+function updateChatWindow() {
+  chatWindowFrame = null;
+  const area = document.querySelector('[data-role="chat-area"]');
+  const list = area?.querySelector('[data-role="message-list"]');
+  const context = state.chatRender;
+  const chatWindow = state.chatWindow;
+  if (!area || !list || !context || !chatWindow) return;
+  const listTop = list.getBoundingClientRect().top - area.getBoundingClientRect().top + area.scrollTop;
+  const viewTop = area.scrollTop - listTop - CHAT_WINDOW_OVERSCAN;
+  const viewBottom = area.scrollTop + area.clientHeight - listTop + CHAT_WINDOW_OVERSCAN;
+  let start = 0;
+  let end = context.messages.length;
+  let offset = 0;
+  for (let index = 0; index < context.messages.length; index += 1) {
+    const height = getMessageHeight(context.messages[index]);
+    if (offset + height < viewTop) start = index + 1;
+    if (offset > viewBottom) {
+      end = index;
+      break;
+    }
+    offset += height;
+  }
+  if (start !== chatWindow.start || end !== chatWindow.end) {
+    const anchor = captureChatAnchor(area);
+    state.chatWindow = { ...chatWindow, start, end: Math.max(start, end) };
+    renderMessageWindow();
+    restoreChatAnchor(area, anchor);
+  }
+  if (area.scrollTop < 200 && state.chatWindow.start === 0) {
+    loadOlderIntoChat();
+  }
+}
+
+async function loadOlderIntoChat() {
+  const conversationId = state.activeConversationId;
+  const paging = getMessagePaging(conversationId);
+  if (paging.loading || !hasMoreMessages(paging)) return;
+  const setStatus = (text) => {
+    const status = document.querySelector('[data-role="history-status"]');
+    if (status) status.textContent = text;
+  };
+  setStatus('正在加载更早消息…');
+  const previousCount = state.chatRender?.messages.length || 0;
+  const added = await loadOlderMessages(conversationId);
+  if (state.activeConversationId !== conversationId) return;
+  if (!added) {
+    setStatus(hasMoreMessages(paging) ? '上滑加载更早消息' : '没有更早的消息了');
+    return;
+  }
+  const area = document.querySelector('[data-role="chat-area"]');
+  const anchor = area ? captureChatAnchor(area) : null;
+  const visibleCount = (state.messagesCache.get(conversationId) || []).filter(isVisibleMessage).length;
+  if (state.chatWindow?.conversationId === conversationId) {
+    state.chatWindow.start = 0;
+    state.chatWindow.end += visibleCount - previousCount;
+  }
+  await renderChatView();
+  const nextArea = document.querySelector('[data-role="chat-area"]');
+  if (nextArea) restoreChatAnchor(nextArea, anchor);
+}
+
+function renderMessageBody(message, markdownEnabled) {
+  const content = getMessageContent(message);
+  return message.role === 'assistant' && markdownEnabled
+    ? `<div class="markdown-body">${renderMarkdown(content)}</div>`
+    : `<div>${escapeHtml(content)}</div>`;
+}
+
+const pendingMessagePatches = new Map();
+let messagePatchFrame = null;
+
+function patchMessageBubble(message) {
+  pendingMessagePatches.set(message.id, message);
+  if (messagePatchFrame) return;
+  messagePatchFrame = requestAnimationFrame(flushMessagePatches);
+}
+
+function flushMessagePatches() {
+  messagePatchFrame = null;
+  const area = document.querySelector('[data-role="chat-area"]');
+  const conversation = getConversation(state.activeConversationId);
+  if (!area || !conversation) {
+    pendingMessagePatches.clear();
+    return;
+  }
+  const stickToBottom = isChatNearBottom(area);
+  pendingMessagePatches.forEach((message) => {
+    if (message.conversationId !== conversation.id) return;
+    const bubble = area.querySelector(`.message[data-id="${message.id}"]`);
+    const body = bubble?.querySelector('[data-role="message-body"]');
+    if (!body) return;
+    body.innerHTML = renderMessageBody(message, isMarkdownEnabled(conversation));
+    messageHeights.set(message.id, bubble.offsetHeight + MESSAGE_GAP);
+  });
+  pendingMessagePatches.clear();
+  if (stickToBottom) scrollChatToBottom();
+}
 
-  view.innerHTML = `
-    <section class="section chat-page">
-      <div class="chat-header card">
-        <div class="avatar">${await renderAvatar(character.avatarKey, character.name)}</div>
-        <div>
-          <h2>${character.name}</h2>
-          <div class="badge">${profile?.name || '未选择 API'} · ${profile?.model || '未设置模型'}</div>
-        </div>
-      </div>
-      <div class="chat-area" data-role="chat-area">
-        ${messageHtml.join('') || '<div class="notice">开始和角色聊聊吧～</div>'}
-      </div>
-      <div class="chat-composer">
-        <textarea class="message-input" placeholder="输入消息..." data-role="message-input"></textarea>
-        <button class="primary" data-action="send-message" ${state.loading ? 'disabled' : ''}>发送</button>
-      </div>
-      <button class="outline" data-action="back-to-conversations">← 返回对话列表</button>
-    </section>
-  `;
-  scrollChatToBottom();
+function isChatNearBottom(area) {
+  return area.scrollHeight - area.scrollTop - area.clientHeight < 80;
 }
 
 async function renderCharacters() {
   if (state.activeCharacterId) {
     const character = getCharacter(state.activeCharacterId);
     const avatar = await renderAvatar(character.avatarKey, character.name);
+    const profileOptions = state.apiProfiles.map((item) =>
+      `<option value="${item.id}" ${item.id === character.preferredProfileId ? 'selected' : ''}>${escapeHtml(item.name)}</option>`
+    ).join('');
     view.innerHTML = `
       <section class="section">
         <div class="row">
@@ -737,19 +2740,52 @@ async function renderCharacters() {
         </div>
         <div class="card form-grid">
           <label>名称
-            <input type="text" value="${character.name}" data-role="character-name" />
+            <input type="text" value="${escapeHtml(character.name)}" data-role="character-name" />
           </label>
           <label>头像上传
             <input type="file" accept="image/*" data-role="character-avatar" />
             <div class="avatar" style="margin-top:8px;">${avatar}</div>
           </label>
           <label>Prompt
-            <textarea data-role="character-prompt">${character.prompt || ''}</textarea>
+            <textarea data-role="character-prompt">${escapeHtml(character.prompt || '')}</textarea>
+          </label>
+          <label>角色描述
+            <textarea data-role="character-description">${escapeHtml(character.description || '')}</textarea>
+          </label>
+          <label>性格
+            <textarea data-role="character-personality">${escapeHtml(character.personality || '')}</textarea>
+          </label>
+          <label>场景
+            <textarea data-role="character-scenario">${escapeHtml(character.scenario || '')}</textarea>
+          </label>
+          <label>开场白
+            <textarea data-role="character-greeting" placeholder="新对话开始时由角色自动发送">${escapeHtml(character.greeting || '')}</textarea>
+          </label>
+          <label>对话示例
+            <textarea data-role="character-example" placeholder="{{user}}：你好&#10;{{char}}：你好呀～">${escapeHtml(character.exampleDialogue || '')}</textarea>
+          </label>
+          <label>默认 API Profile
+            <select data-role="character-profile">
+              <option value="">跟随全局设置</option>
+              ${profileOptions}
+            </select>
+          </label>
+          <label>默认模型
+            <input type="text" value="${escapeHtml(character.preferredModel || '')}" data-role="character-model" placeholder="留空使用 Profile 的模型" />
+          </label>
+          <label>默认 Temperature
+            <input type="number" min="0" max="2" step="0.1" value="${character.preferredTemperature ?? ''}" data-role="character-temperature" placeholder="留空使用全局设置" />
+          </label>
+          <div class="notice">新建与该角色的对话时会使用以上默认值。</div>
+          <label>展开预览
+            <div class="notice macro-preview" data-role="character-preview"></div>
           </label>
           <button class="primary" data-action="save-character">保存</button>
+          <button class="outline" data-action="export-character-card" data-id="${character.id}">导出角色卡 (PNG)</button>
         </div>
       </section>
     `;
+    updateCharacterPreview();
     return;
   }
 
@@ -759,13 +2795,22 @@ async function renderCharacters() {
       <div class="list-item" data-action="edit-character" data-id="${item.id}">
         <div class="avatar">${await renderAvatar(item.avatarKey, item.name)}</div>
         <div>
-          <strong>${item.name}</strong>
-          <div class="notice">${shorten(item.prompt, 28)}</div>
+          <strong>${escapeHtml(item.name)}</strong>
+          <div class="notice">${escapeHtml(shorten(item.prompt || item.description, 28))}</div>
         </div>
       </div>
     `)
   );
 
+  const lorebookItems = state.lorebooks.map((book) => `
+    <div class="list-item" data-action="edit-lorebook" data-id="${book.id}">
+      <div>
+        <strong>${escapeHtml(book.name)}</strong>
+        <div class="notice">${escapeHtml(getLorebookScopeLabel(book))} · ${(book.entries || []).length} 个条目${book.enabled === false ? ' · 已停用' : ''}</div>
+      </div>
+    </div>
+  `).join('');
+
   view.innerHTML = `
     <section class="section">
       <div class="row">
@@ -791,6 +2836,24 @@ async function renderCharacters() {
         ${characterItems.join('')}
       </div>
     </section>
+    <section class="section">
+      <div class="row">
+        <h2>世界书</h2>
+        <button class="icon-button" data-action="new-lorebook">＋</button>
+      </div>
+      <div class="list">
+        ${lorebookItems || '<div class="notice">暂无世界书。条目会在最近的对话提到关键词时注入系统提示。</div>'}
+      </div>
+    </section>
+    <section class="section">
+      <h2>导入角色卡</h2>
+      <div class="card form-grid">
+        <div class="notice">支持 SillyTavern / Tavern V1、V2 格式的 PNG 或 JSON 角色卡。</div>
+        <input type="file" accept="image/png,application/json,.png,.json" data-role="card-file" />
+        <button class="outline" data-action="import-character-card">导入</button>
+        <div class="notice" data-role="card-status"></div>
+      </div>
+    </section>
   `;
 }
 
@@ -799,7 +2862,7 @@ function renderSettings() {
     <div class="list-item">
       <div>
         <strong>${profile.name}</strong>
-        <div class="notice">${profile.baseUrl}</div>
+        <div class="notice">${getProviderAdapter(profile).label} · ${profile.baseUrl}</div>
         <div class="notice">${profile.model}</div>
       </div>
       <div class="badge-group">
@@ -808,6 +2871,8 @@ function renderSettings() {
       </div>
     </div>
   `);
+  const secureUnlocked = state.settings.secureSyncEnabled && state.vault;
+  const secureStatus = !state.settings.secureSyncEnabled ? '未开启' : secureUnlocked ? '已开启' : '已锁定';
 
   view.innerHTML = `
     <section class="section">
@@ -839,6 +2904,8 @@ function renderSettings() {
       <div class="card form-grid">
         <label>全局 Prompt
           <textarea data-role="global-prompt">${state.settings.globalPrompt}</textarea>
+          <div class="notice">支持 {{user}}、{{char}}、{{date}}、{{time}}、{{weekday}}、{{idle_duration}}、{{random:a|b|c}}</div>
+          <div class="notice macro-preview" data-role="global-prompt-preview">${escapeHtml(expandPromptMacros(state.settings.globalPrompt, { character: getCharacter() }))}</div>
         </label>
         <label>Temperature
           <input type="range" min="0" max="2" step="0.1" value="${state.settings.temperature}" data-role="temperature" />
@@ -860,7 +2927,32 @@ function renderSettings() {
           <input type="checkbox" data-role="toggle-stream" ${state.settings.streaming ? 'checked' : ''} />
           <label>流式输出 Streaming</label>
         </div>
-        <div class="footer-note">导出到 Gmail / 云端保存：TODO（后续阶段）</div>
+        <div class="toggle">
+          <input type="checkbox" data-role="toggle-summary" ${state.settings.summaryEnabled ? 'checked' : ''} />
+          <label>长对话自动摘要</label>
+        </div>
+        <label>摘要触发阈值（未摘要消息条数）
+          <input type="number" min="${SUMMARY_KEEP_RECENT + 2}" step="1" value="${state.settings.summaryThreshold}" data-role="summary-threshold" />
+        </label>
+      </div>
+    </section>
+
+    <section class="section">
+      <div class="row">
+        <h2>导出与导入</h2>
+      </div>
+      <div class="card form-grid">
+        <div class="notice">导出全部对话（不含已删除）。JSON 为无损格式，可在任意设备重新导入。</div>
+        <div class="inline-inputs">
+          <button class="outline" data-action="export-all" data-format="markdown">Markdown</button>
+          <button class="outline" data-action="export-all" data-format="html">HTML</button>
+          <button class="outline" data-action="export-all" data-format="json">JSON</button>
+        </div>
+        <label>导入 JSON
+          <input type="file" accept="application/json,.json" data-role="import-file" />
+        </label>
+        <button class="outline" data-action="import-conversations">导入</button>
+        <div class="notice" data-role="import-status"></div>
       </div>
     </section>
 
@@ -884,10 +2976,49 @@ function renderSettings() {
           <button class="outline" data-action="login-supabase">登录</button>
           <button class="outline" data-action="logout-supabase">退出</button>
         </div>
-        <div class="notice">不会上传或存储 OpenRouter API Key。</div>
+        ${state.syncConflicts.length ? `
+          <button class="outline" data-action="open-conflicts">处理同步冲突（${state.syncConflicts.length}）</button>
+        ` : ''}
+        ${state.deadOps.length ? `
+          <div class="notice">以下修改多次上传失败，已暂停重试：</div>
+          <div class="list">
+            ${state.deadOps.map((op) => `
+              <div class="list-item">
+                <div>
+                  <strong>${escapeHtml(describePendingOp(op))}</strong>
+                  <div class="notice">${escapeHtml(op.lastError || '')}（已尝试 ${op.attempts} 次）</div>
+                </div>
+                <div class="badge-group">
+                  <button class="icon-button" data-action="retry-dead-op" data-id="${op.id}">重试</button>
+                  <button class="icon-button" data-action="discard-dead-op" data-id="${op.id}">丢弃</button>
+                </div>
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+        <div class="notice">未开启加密同步时，不会上传或存储 OpenRouter API Key。</div>
         <div class="notice" data-role="cloud-error">${state.syncError || ''}</div>
       </div>
     </section>
+
+    <section class="section">
+      <div class="row">
+        <h2>加密同步 API 与设置</h2>
+        <span class="badge">${secureStatus}</span>
+      </div>
+      <div class="card form-grid">
+        <div class="notice">API Profiles（含 API Key）、备用模型、全局 Prompt、主题等设置会先在本机用口令加密再上传，只有输入相同口令的设备才能解密。口令不会上传，遗忘后无法找回。</div>
+        ${secureUnlocked ? `
+          <button class="outline" data-action="disable-secure-sync">关闭加密同步</button>
+        ` : `
+          <label>同步口令
+            <input type="password" autocomplete="new-password" data-role="secure-passphrase" />
+          </label>
+          <button class="outline" data-action="enable-secure-sync">${state.settings.secureSyncEnabled ? '解锁' : '开启加密同步'}</button>
+        `}
+        <div class="notice" data-role="secure-error">${state.secureSyncError || ''}</div>
+      </div>
+    </section>
   `;
 }
 
@@ -930,6 +3061,470 @@ function escapeHtml(str) {
     .replace(/'/g, '&#39;');
 }
 
+const MARKDOWN_ALLOWED_TAGS = {
+  p: [],
+  br: [],
+  hr: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  strong: [],
+  em: [],
+  del: [],
+  blockquote: [],
+  ul: [],
+  ol: ['start'],
+  li: [],
+  a: ['href', 'title'],
+  pre: [],
+  code: ['class'],
+  span: ['class'],
+  div: ['class'],
+  button: ['class', 'type', 'data-action'],
+  table: [],
+  thead: [],
+  tbody: [],
+  tr: [],
+  th: ['class'],
+  td: ['class']
+};
+
+const MARKDOWN_DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript'];
+
+const MD_FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const MD_HEADING = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MD_HR = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const MD_QUOTE = /^ {0,3}>\s?/;
+const MD_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MD_TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const CODE_TOKEN_PATTERNS = {
+  slashComment: /\/\/[^\n]*/.source,
+  blockComment: /\/\*[\s\S]*?(?:\*\/|$)/.source,
+  hashComment: /#[^\n]*/.source,
+  dashComment: /--[^\n]*/.source,
+  markupComment: /<!--[\s\S]*?(?:-->|$)/.source,
+  tripleString: /"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)/.source,
+  templateString: /`(?:\\[\s\S]|[^`\\])*`?/.source,
+  doubleString: /"(?:\\.|[^"\\\n])*"?/.source,
+  singleString: /'(?:\\.|[^'\\\n])*'/.source,
+  markupTag: /<\/?[A-Za-z][\w:-]*|\/?>/.source,
+  number: /\b(?:0[xX][\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/.source,
+  word: /[A-Za-z_$][\w$]*/.source
+};
+
+const CODE_SYNTAX = {
+  js: {
+    comments: ['slashComment', 'blockComment'],
+    strings: ['templateString', 'doubleString', 'singleString'],
+    keywords: 'async await break case catch class const continue debugger default delete do else enum export extends false finally for from function if implements import in instanceof interface let new null of private protected public readonly return static super switch this throw true try type typeof undefined var void while yield'
+  },
+  python: {
+    comments: ['hashComment'],
+    strings: ['tripleString', 'doubleString', 'singleString'],
+    keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield'
+  },
+  bash: {
+    comments: ['hashComment'],
+    strings: ['doubleString', 'singleString'],
+    keywords: 'case do done echo elif else esac exit export fi for function if in local return then until while'
+  },
+  sql: {
+    comments: ['dashComment', 'blockComment'],
+    strings: ['singleString', 'doubleString'],
+    keywords: 'add alter and as asc by case create default delete desc distinct drop else end exists from group having if in index inner insert into is join key left like limit not null on or order outer primary references right select set table then union unique update values when where with',
+    caseInsensitive: true
+  },
+  json: {
+    comments: [],
+    strings: ['doubleString'],
+    keywords: 'true false null'
+  },
+  c: {
+    comments: ['slashComment', 'blockComment'],
+    strings: ['doubleString', 'singleString'],
+    keywords: 'abstract auto bool boolean break case catch char class const continue default delete do double else enum extends extern false final finally float for fun if implements import int interface long namespace new null nullptr override package private protected public return short signed sizeof static struct super switch template this throw true try typedef union unsigned using val var virtual void volatile while'
+  },
+  go: {
+    comments: ['slashComment', 'blockComment'],
+    strings: ['templateString', 'doubleString', 'singleString'],
+    keywords: 'break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var'
+  },
+  rust: {
+    comments: ['slashComment', 'blockComment'],
+    strings: ['doubleString'],
+    keywords: 'as async await break const continue crate else enum false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while'
+  },
+  css: {
+    comments: ['blockComment'],
+    strings: ['doubleString', 'singleString'],
+    keywords: 'important media import keyframes from to supports'
+  },
+  html: {
+    comments: ['markupComment'],
+    strings: ['doubleString', 'singleString'],
+    keywords: '',
+    markup: true
+  }
+};
+
+const CODE_LANGUAGE_ALIASES = {
+  javascript: 'js',
+  jsx: 'js',
+  mjs: 'js',
+  cjs: 'js',
+  ts: 'js',
+  tsx: 'js',
+  typescript: 'js',
+  py: 'python',
+  python3: 'python',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  console: 'bash',
+  postgres: 'sql',
+  postgresql: 'sql',
+  mysql: 'sql',
+  sqlite: 'sql',
+  jsonc: 'json',
+  cpp: 'c',
+  'c++': 'c',
+  h: 'c',
+  cs: 'c',
+  csharp: 'c',
+  java: 'c',
+  kotlin: 'c',
+  kt: 'c',
+  golang: 'go',
+  rs: 'rust',
+  scss: 'css',
+  less: 'css',
+  xml: 'html',
+  svg: 'html',
+  vue: 'html'
+};
+
+function isSafeMarkdownUrl(url) {
+  const value = String(url || '').trim();
+  return /^(https?:|mailto:)/i.test(value) || value.startsWith('#');
+}
+
+function sanitizeHtml(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  sanitizeNode(template.content);
+  return template.innerHTML;
+}
+
+function sanitizeNode(parent) {
+  Array.from(parent.childNodes).forEach((node) => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove();
+      return;
+    }
+    const tag = node.tagName.toLowerCase();
+    const allowedAttributes = MARKDOWN_ALLOWED_TAGS[tag];
+    if (!allowedAttributes) {
+      if (MARKDOWN_DROPPED_TAGS.includes(tag)) {
+        node.remove();
+      } else {
+        node.replaceWith(document.createTextNode(node.textContent || ''));
+      }
+      return;
+    }
+    Array.from(node.attributes).forEach((attribute) => {
+      const name = attribute.name.toLowerCase();
+      const allowed = allowedAttributes.includes(name)
+        && (name !== 'href' || isSafeMarkdownUrl(attribute.value))
+        && (name !== 'data-action' || attribute.value === 'copy-code');
+      if (!allowed) node.removeAttribute(attribute.name);
+    });
+    if (tag === 'a') {
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer nofollow');
+    }
+    sanitizeNode(node);
+  });
+}
+
+function highlightCode(code, language) {
+  const spec = CODE_SYNTAX[CODE_LANGUAGE_ALIASES[language] || language];
+  if (!spec) return escapeHtml(code);
+  const groups = [
+    ['comment', spec.comments],
+    ['string', spec.strings],
+    ['tag', spec.markup ? ['markupTag'] : []],
+    ['number', ['number']],
+    ['word', ['word']]
+  ].filter(([, names]) => names.length);
+  const pattern = new RegExp(
+    groups.map(([type, names]) => `(?<${type}>${names.map((name) => CODE_TOKEN_PATTERNS[name]).join('|')})`).join('|'),
+    'g'
+  );
+  const keywords = new Set(spec.keywords.split(/\s+/).filter(Boolean));
+  let html = '';
+  let last = 0;
+  for (const match of code.matchAll(pattern)) {
+    const [text] = match;
+    html += escapeHtml(code.slice(last, match.index));
+    last = match.index + text.length;
+    let type = Object.keys(match.groups).find((key) => match.groups[key] !== undefined);
+    if (type === 'word') {
+      const word = spec.caseInsensitive ? text.toLowerCase() : text;
+      if (keywords.has(word)) {
+        type = 'keyword';
+      } else if (code[last] === '(') {
+        type = 'function';
+      } else {
+        html += escapeHtml(text);
+        continue;
+      }
+    }
+    html += `<span class="tok-${type}">${escapeHtml(text)}</span>`;
+  }
+  return html + escapeHtml(code.slice(last));
+}
+
+function renderCodeBlock(code, language) {
+  const lang = (language || '').toLowerCase().replace(/[^\w+#-]/g, '');
+  return `
+    <div class="code-block">
+      <div class="code-toolbar">
+        <span>${escapeHtml(lang || 'text')}</span>
+        <button type="button" class="code-copy" data-action="copy-code">复制</button>
+      </div>
+      <pre><code class="language-${escapeHtml(lang || 'text')}">${highlightCode(code, lang)}</code></pre>
+    </div>
+  `.trim();
+}
+
+function applyMarkdownEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>');
+}
+
+function renderMarkdownInline(text) {
+  const slots = [];
+  const stash = (html) => `\u0000${slots.push(html) - 1}\u0000`;
+  let output = String(text || '')
+    .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => stash(`<code>${escapeHtml(code.trim())}</code>`))
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, (_, char) => stash(escapeHtml(char)))
+    .replace(/\[([^\]]+)\]\(\s*<?((?:[^()\s<>]|\([^()\s]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g, (match, label, url, title) => {
+      const labelHtml = applyMarkdownEmphasis(escapeHtml(label));
+      if (!isSafeMarkdownUrl(url)) return stash(labelHtml);
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+      return stash(`<a href="${escapeHtml(url)}"${titleAttr}>${labelHtml}</a>`);
+    })
+    .replace(/\bhttps?:\/\/[^\s<>"'`\u0000]*[^\s<>"'`\u0000.,:;!?)\]，。！？）】]/g, (url) => {
+      return stash(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`);
+    });
+  output = applyMarkdownEmphasis(escapeHtml(output));
+  const restore = (html) => html.replace(/\u0000(\d+)\u0000/g, (_, index) => restore(slots[Number(index)]));
+  return restore(output);
+}
+
+function isMarkdownTableStart(line, nextLine) {
+  return line.includes('|')
+    && typeof nextLine === 'string'
+    && nextLine.includes('|')
+    && nextLine.includes('-')
+    && MD_TABLE_DIVIDER.test(nextLine);
+}
+
+function isMarkdownBlockStart(line, nextLine) {
+  return MD_FENCE.test(line)
+    || MD_HEADING.test(line)
+    || MD_HR.test(line)
+    || MD_QUOTE.test(line)
+    || MD_LIST_ITEM.test(line)
+    || isMarkdownTableStart(line, nextLine);
+}
+
+function splitMarkdownTableRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function renderMarkdownTable(lines, start) {
+  const header = splitMarkdownTableRow(lines[start]);
+  const aligns = splitMarkdownTableRow(lines[start + 1]).map((cell) => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    if (left) return 'left';
+    return '';
+  });
+  const rows = [];
+  let index = start + 2;
+  while (index < lines.length && lines[index].trim() && lines[index].includes('|')) {
+    rows.push(splitMarkdownTableRow(lines[index]));
+    index += 1;
+  }
+  const cell = (tag, text, column) => {
+    const alignClass = aligns[column] ? ` class="align-${aligns[column]}"` : '';
+    return `<${tag}${alignClass}>${renderMarkdownInline(text)}</${tag}>`;
+  };
+  const head = `<tr>${header.map((text, column) => cell('th', text, column)).join('')}</tr>`;
+  const body = rows
+    .map((row) => `<tr>${header.map((_, column) => cell('td', row[column] || '', column)).join('')}</tr>`)
+    .join('');
+  return {
+    html: `<div class="table-wrap"><table><thead>${head}</thead><tbody>${body}</tbody></table></div>`,
+    next: index
+  };
+}
+
+function getIndentWidth(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+function renderMarkdownList(lines, start) {
+  const first = lines[start].match(MD_LIST_ITEM);
+  const baseIndent = getIndentWidth(lines[start]);
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let contentOffset = 0;
+  let loose = false;
+  let index = start;
+  while (index < lines.length) {
+    const line = lines[index];
+    const match = line.match(MD_LIST_ITEM);
+    if (match && getIndentWidth(line) === baseIndent && !MD_HR.test(line)) {
+      if (/\d/.test(match[2]) !== ordered) break;
+      contentOffset = baseIndent + match[2].length + 1;
+      items.push([match[3]]);
+      index += 1;
+      continue;
+    }
+    if (!line.trim()) {
+      const next = lines[index + 1];
+      const continues = typeof next === 'string' && next.trim()
+        && (getIndentWidth(next) > baseIndent || (MD_LIST_ITEM.test(next) && getIndentWidth(next) === baseIndent));
+      if (!continues) break;
+      loose = true;
+      items[items.length - 1].push('');
+      index += 1;
+      continue;
+    }
+    if (getIndentWidth(line) > baseIndent) {
+      const strip = Math.min(getIndentWidth(line), contentOffset);
+      items[items.length - 1].push(line.replace(/\t/g, '    ').slice(strip));
+      index += 1;
+      continue;
+    }
+    if (isMarkdownBlockStart(line, lines[index + 1])) break;
+    items[items.length - 1].push(line);
+    index += 1;
+  }
+  const itemsHtml = items.map((itemLines) => {
+    const [firstLine, ...rest] = itemLines;
+    const task = firstLine.match(/^\[( |x|X)\]\s+(.*)$/);
+    const lead = task ? `${task[1] === ' ' ? '☐' : '☑'} ${task[2]}` : firstLine;
+    const inner = renderMarkdownBlocks([lead, ...rest]);
+    return `<li>${loose ? inner : inner.replace(/^<p>([\s\S]*?)<\/p>/, '$1')}</li>`;
+  }).join('');
+  const startNumber = ordered ? parseInt(first[2], 10) : 1;
+  const html = ordered
+    ? `<ol${startNumber !== 1 ? ` start="${startNumber}"` : ''}>${itemsHtml}</ol>`
+    : `<ul>${itemsHtml}</ul>`;
+  return { html, next: index };
+}
+
+function renderMarkdownBlocks(lines) {
+  const html = [];
+  let index = 0;
+  while (index < lines.length) {
+    const line = lines[index];
+    if (!line.trim()) {
+      index += 1;
+      continue;
+    }
+
+    const fence = line.match(MD_FENCE);
+    if (fence) {
+      const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+      const body = [];
+      index += 1;
+      while (index < lines.length && !closing.test(lines[index])) {
+        body.push(lines[index]);
+        index += 1;
+      }
+      index += 1;
+      html.push(renderCodeBlock(body.join('\n'), fence[2]));
+      continue;
+    }
+
+    const heading = line.match(MD_HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderMarkdownInline(heading[2])}</h${level}>`);
+      index += 1;
+      continue;
+    }
+
+    if (MD_HR.test(line)) {
+      html.push('<hr>');
+      index += 1;
+      continue;
+    }
+
+    if (MD_QUOTE.test(line)) {
+      const body = [];
+      while (index < lines.length && lines[index].trim() && MD_QUOTE.test(lines[index])) {
+        body.push(lines[index].replace(MD_QUOTE, ''));
+        index += 1;
+      }
+      html.push(`<blockquote>${renderMarkdownBlocks(body)}</blockquote>`);
+      continue;
+    }
+
+    if (isMarkdownTableStart(line, lines[index + 1])) {
+      const table = renderMarkdownTable(lines, index);
+      html.push(table.html);
+      index = table.next;
+      continue;
+    }
+
+    if (MD_LIST_ITEM.test(line)) {
+      const list = renderMarkdownList(lines, index);
+      html.push(list.html);
+      index = list.next;
+      continue;
+    }
+
+    const paragraph = [line];
+    index += 1;
+    while (index < lines.length && lines[index].trim() && !isMarkdownBlockStart(lines[index], lines[index + 1])) {
+      paragraph.push(lines[index]);
+      index += 1;
+    }
+    html.push(`<p>${paragraph.map((item) => renderMarkdownInline(item.trim())).join('<br>')}</p>`);
+  }
+  return html.join('');
+}
+
+function renderMarkdown(source) {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+  return sanitizeHtml(renderMarkdownBlocks(lines));
+}
+
+function isMarkdownEnabled(conversation) {
+  return conversation?.markdown !== false;
+}
+
 async function renderAvatar(avatarKey, fallbackText) {
   const dataUrl = await getAvatar(avatarKey);
   if (dataUrl) {
@@ -938,28 +3533,394 @@ async function renderAvatar(avatarKey, fallbackText) {
   return fallbackText ? fallbackText.slice(0, 1) : '🙂';
 }
 
-function buildSystemPrompt(character) {
+function buildCharacterPrompt(character) {
+  if (!character) return '';
+  return [
+    character.prompt,
+    character.description && `角色描述：${character.description}`,
+    character.personality && `性格：${character.personality}`,
+    character.scenario && `场景：${character.scenario}`,
+    character.exampleDialogue && `对话示例：\n${character.exampleDialogue}`
+  ].filter(Boolean).join('\n\n');
+}
+
+function normalizeGenerationOverrides(raw) {
+  const overrides = {};
+  if (!raw || typeof raw !== 'object') return overrides;
+  GENERATION_PARAM_FIELDS.forEach((field) => {
+    if (raw[field.key] === '' || raw[field.key] == null) return;
+    let value = Number(raw[field.key]);
+    if (!Number.isFinite(value)) return;
+    if (field.integer) value = Math.round(value);
+    if (field.min !== undefined) value = Math.max(field.min, value);
+    if (field.max !== undefined) value = Math.min(field.max, value);
+    overrides[field.key] = value;
+  });
+  const stop = (Array.isArray(raw.stop) ? raw.stop : [])
+    .filter((item) => typeof item === 'string' && item)
+    .slice(0, MAX_STOP_SEQUENCES);
+  if (stop.length) overrides.stop = stop;
+  return overrides;
+}
+
+function getGenerationParams(conversation) {
+  const overrides = normalizeGenerationOverrides(conversation?.generation);
+  return {
+    temperature: state.settings.temperature,
+    ...overrides,
+    overridden: Object.keys(overrides)
+  };
+}
+
+function hasGenerationOverrides(conversation) {
+  return Object.keys(normalizeGenerationOverrides(conversation?.generation)).length > 0
+    || Boolean(conversation?.systemPromptOverride?.trim());
+}
+
+function formatIdleDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return '不到一分钟';
+  if (minutes < 60) return `${minutes} 分钟`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} 小时`;
+  return `${Math.floor(hours / 24)} 天`;
+}
+
+function getIdleDuration(messages, now) {
+  const visible = messages.filter((message) => !message.temp && isVisibleMessage(message));
+  const last = visible[visible.length - 1];
+  const previous = last?.role === 'user' ? visible[visible.length - 2] : last;
+  return previous ? formatIdleDuration(now - (previous.createdAt || now)) : '不到一分钟';
+}
+
+function seededRandom(seed) {
+  let hash = 2166136261;
+  for (const char of seed) {
+    hash = Math.imul(hash ^ char.codePointAt(0), 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+}
+
+function expandPromptMacros(text, { character, messages = [], now = Date.now(), seed } = {}) {
+  if (!text) return '';
+  const date = new Date(now);
+  let randomIndex = 0;
+  return text.replace(/\{\{\s*(\w+)(?::([^}]*))?\s*\}\}/g, (match, name, arg) => {
+    switch (name.toLowerCase()) {
+      case 'user':
+        return state.settings.userProfile?.name || '我';
+      case 'char':
+        return character?.name || '';
+      case 'date':
+        return date.toLocaleDateString('zh-CN', { year: 'numeric', month: 'long', day: 'numeric' });
+      case 'time':
+        return formatTime(now);
+      case 'weekday':
+        return date.toLocaleDateString('zh-CN', { weekday: 'long' });
+      case 'idle_duration':
+        return getIdleDuration(messages, now);
+      case 'random': {
+        const options = (arg || '').split('|');
+        const roll = seed ? seededRandom(`${seed}:${randomIndex++}`) : Math.random();
+        return options[Math.floor(roll * options.length)].trim();
+      }
+      default:
+        return match;
+    }
+  });
+}
+
+function buildSystemPrompt(character, conversation) {
   const userProfile = state.settings.userProfile;
   const userProfileText = userProfile?.name
     ? `用户信息：${userProfile.name}`
     : '';
+  const summaryText = conversation?.summary
+    ? `此前对话摘要：\n${conversation.summary}`
+    : '';
+  const groupText = isGroupConversation(conversation)
+    ? `这是一个群聊，成员有：${getConversationCharacters(conversation).map((item) => item.name).join('、')}。你只扮演${character.name}，每次只以${character.name}的身份发言，不要替其他成员或用户说话。`
+    : '';
+  return [
+    conversation?.systemPromptOverride?.trim() || state.settings.globalPrompt,
+    buildCharacterPrompt(character),
+    groupText,
+    userProfileText,
+    summaryText
+  ].filter(Boolean).join('\n\n');
+}
+
+function parseLoreKeywords(text) {
+  return (text || '').split('\n').flatMap((line) => {
+    const trimmed = line.trim();
+    if (/^\/.+\/[imsu]*$/.test(trimmed)) return [trimmed];
+    return trimmed.split(/[,，、]/).map((item) => item.trim());
+  }).filter(Boolean);
+}
+
+function matchLoreKeyword(keyword, text) {
+  const regex = keyword.match(/^\/(.+)\/([imsu]*)$/);
+  if (regex) {
+    try {
+      return new RegExp(regex[1], regex[2]).test(text);
+    } catch (error) {
+      console.error('lorebook regex error', keyword, error);
+      return false;
+    }
+  }
+  return text.toLowerCase().includes(keyword.toLowerCase());
+}
+
+function getActiveLorebooks(character) {
+  return state.lorebooks.filter((book) =>
+    book.enabled !== false && (!book.characterId || book.characterId === character?.id)
+  );
+}
+
+function collectLoreEntries(character, messages) {
+  const lore = { before: [], after: [], hits: [] };
+  getActiveLorebooks(character).forEach((book) => {
+    const scanText = messages
+      .slice(-(book.scanDepth || LOREBOOK_SCAN_DEPTH))
+      .map((message) => message.content || '')
+      .join('\n');
+    const fired = (book.entries || [])
+      .filter((entry) => entry.enabled !== false && entry.content)
+      .map((entry) => ({ entry, keyword: (entry.keywords || []).find((keyword) => matchLoreKeyword(keyword, scanText)) }))
+      .filter((item) => item.keyword)
+      .sort((a, b) => (b.entry.priority || 0) - (a.entry.priority || 0));
+    let budget = book.tokenBudget || LOREBOOK_TOKEN_BUDGET;
+    fired.forEach(({ entry, keyword }) => {
+      const tokens = estimateTokens(entry.content);
+      const hit = { bookName: book.name, title: entry.title || shorten(entry.content, 20), keyword, position: entry.position, tokens };
+      if (tokens > budget) {
+        lore.hits.push({ ...hit, skipped: 'budget' });
+        return;
+      }
+      budget -= tokens;
+      lore[entry.position === 'after' ? 'after' : 'before'].push(entry);
+      lore.hits.push(hit);
+    });
+  });
+  const byPriority = (a, b) => (b.priority || 0) - (a.priority || 0);
+  lore.before.sort(byPriority);
+  lore.after.sort(byPriority);
+  return lore;
+}
+
+function applyLoreEntries(systemPrompt, lore) {
   return [
-    state.settings.globalPrompt,
-    character?.prompt,
-    userProfileText
+    ...lore.before.map((entry) => entry.content),
+    systemPrompt,
+    ...lore.after.map((entry) => entry.content)
   ].filter(Boolean).join('\n\n');
 }
 
-async function ensureMessagesLoaded(conversationId, forceRemote = false) {
-  if (!forceRemote && state.messagesCache.has(conversationId)) return;
-  const localMessages = await getMessages(conversationId);
-  state.messagesCache.set(conversationId, localMessages);
+function estimateTokens(text) {
+  if (!text) return 0;
+  const wide = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/g) || []).length;
+  return wide + Math.ceil((text.length - wide) / 4);
+}
+
+function getCachedModelInfo(profile, model) {
+  const { cache } = loadModelsCache();
+  const models = cache?.key === getModelsCacheKey(profile) ? cache.models : [];
+  return (Array.isArray(models) ? models : []).find((item) => item.id === model) || null;
+}
+
+function getModelContextLength(profile, model) {
+  const info = getCachedModelInfo(profile, model);
+  return Number(info?.context_length || info?.top_provider?.context_length) || DEFAULT_CONTEXT_LENGTH;
+}
+
+function getListedModalities(modelId, visionPatterns) {
+  return visionPatterns.some((pattern) => pattern.test(modelId)) ? ['text', 'image'] : ['text'];
+}
+
+function modelSupportsImages(profile, model) {
+  const info = getCachedModelInfo(profile, model);
+  if (!info) return false;
+  const modalities = info.architecture?.input_modalities || info.input_modalities || [];
+  const modality = (info.architecture?.modality || '').split('->')[0];
+  return modalities.includes('image') || modality.includes('image');
+}
+
+function trimToTokenBudget(text, budget) {
+  let keep = text.length;
+  while (keep > 0 && estimateTokens(text.slice(-keep)) > budget) {
+    keep = Math.floor(keep * 0.8);
+  }
+  return `…${text.slice(text.length - keep)}`;
+}
+
+function getContextMessages(messages, conversation) {
+  const summaryUntil = conversation?.summary ? conversation.summaryUntil || 0 : 0;
+  return messages
+    .filter((msg) => !msg.temp && isVisibleMessage(msg) && (msg.createdAt || 0) > summaryUntil)
+    .map((msg) => (msg.isGreeting ? { ...msg, content: getMessageContent(msg) } : msg));
+}
+
+function getMessageContent(message) {
+  if (!message.isGreeting) return message.content;
+  return expandPromptMacros(message.content, {
+    character: getCharacter(message.characterId),
+    now: message.createdAt,
+    seed: message.id
+  });
+}
+
+function getSpeakerContextMessages(messages, conversation, speaker) {
+  if (!isGroupConversation(conversation)) return messages;
+  return messages.map((message) => {
+    if (message.role !== 'assistant' || message.characterId === speaker.id) return message;
+    const name = state.charactersIndex.find((item) => item.id === message.characterId)?.name || '其他角色';
+    return { ...message, role: 'user', content: `${name}：${message.content}` };
+  });
+}
+
+function getVersionGroupId(message) {
+  return message.versionGroup || message.id;
+}
+
+function isVisibleMessage(message) {
+  return !message.isDeleted && message.isActiveVersion !== false;
+}
+
+function groupMessageVersions(messages) {
+  return messages.reduce((groups, message) => {
+    if (message.isDeleted) return groups;
+    const groupId = getVersionGroupId(message);
+    if (!groups.has(groupId)) groups.set(groupId, []);
+    groups.get(groupId).push(message);
+    return groups;
+  }, new Map());
+}
+
+function buildContextWindow({ systemPrompt, messages, contextLength, replyReserve = CONTEXT_REPLY_RESERVE }) {
+  const reserve = Math.min(replyReserve, Math.floor(contextLength / 4));
+  let budget = contextLength - reserve - estimateTokens(systemPrompt) - CONTEXT_MESSAGE_OVERHEAD;
+  const history = [];
+  let trimmed = false;
+  for (let index = messages.length - 1; index >= 0; index -= 1) {
+    const message = messages[index];
+    const imageCost = (message.images || message.attachments || []).length * IMAGE_TOKEN_ESTIMATE;
+    const cost = estimateTokens(message.content) + imageCost + CONTEXT_MESSAGE_OVERHEAD;
+    const images = message.images?.length ? { images: message.images } : {};
+    if (cost <= budget) {
+      history.unshift({ role: message.role, content: message.content, ...images });
+      budget -= cost;
+      continue;
+    }
+    const room = budget - imageCost - CONTEXT_MESSAGE_OVERHEAD;
+    if (room >= CONTEXT_MIN_TRIM_TOKENS || !history.length) {
+      history.unshift({ role: message.role, content: trimToTokenBudget(message.content || '', Math.max(room, 0)), ...images });
+      trimmed = true;
+    }
+    break;
+  }
+  return {
+    history,
+    included: history.length,
+    total: messages.length,
+    trimmed
+  };
+}
+
+async function ensureMessagesLoaded(conversationId, forceRemote = false) {
+  if (!forceRemote && state.messagesCache.has(conversationId)) return;
+  if (!state.messagesCache.has(conversationId)) {
+    const localMessages = await getMessagesPage(conversationId, Infinity, MESSAGE_PAGE_SIZE);
+    state.messagesCache.set(conversationId, localMessages);
+    state.messagePaging.set(conversationId, {
+      oldestLoadedAt: localMessages.length ? localMessages[0].createdAt : Infinity,
+      hasMoreLocal: localMessages.length === MESSAGE_PAGE_SIZE,
+      hasMoreRemote: true,
+      loading: false
+    });
+  }
+
+  if (state.supabase && state.session) {
+    const remoteMessages = await fetchMessagesFromSupabase(conversationId, { limit: MESSAGE_PAGE_SIZE });
+    if (remoteMessages.length) {
+      await mergeMessagesFromCloud(remoteMessages);
+    }
+  }
+}
+
+function getMessagePaging(conversationId) {
+  if (!state.messagePaging.has(conversationId)) {
+    const cached = state.messagesCache.get(conversationId) || [];
+    state.messagePaging.set(conversationId, {
+      oldestLoadedAt: cached.reduce((oldest, msg) => Math.min(oldest, msg.createdAt || Infinity), Infinity),
+      hasMoreLocal: true,
+      hasMoreRemote: true,
+      loading: false
+    });
+  }
+  return state.messagePaging.get(conversationId);
+}
+
+function hasMoreMessages(paging) {
+  return paging.hasMoreLocal || (paging.hasMoreRemote && Boolean(state.supabase && state.session));
+}
+
+async function loadOlderMessages(conversationId, { includeRemote = true } = {}) {
+  const paging = getMessagePaging(conversationId);
+  if (paging.loading) return 0;
+  paging.loading = true;
+  try {
+    let page = paging.hasMoreLocal
+      ? await getMessagesPage(conversationId, paging.oldestLoadedAt, MESSAGE_PAGE_SIZE)
+      : [];
+    paging.hasMoreLocal = page.length === MESSAGE_PAGE_SIZE;
+    if (!paging.hasMoreLocal && includeRemote && paging.hasMoreRemote && state.supabase && state.session) {
+      const before = page.length ? page[0].createdAt : paging.oldestLoadedAt;
+      const rows = await fetchMessagesFromSupabase(conversationId, { before, limit: MESSAGE_PAGE_SIZE });
+      paging.hasMoreRemote = rows.length === MESSAGE_PAGE_SIZE;
+      if (rows.length) {
+        await mergeMessagesFromCloud(rows);
+        page = await getMessagesPage(conversationId, paging.oldestLoadedAt, MESSAGE_PAGE_SIZE + rows.length);
+        paging.hasMoreLocal = page.length === MESSAGE_PAGE_SIZE + rows.length;
+      }
+    }
+    const cached = state.messagesCache.get(conversationId) || [];
+    const known = new Set(cached.map((msg) => msg.id));
+    const added = page.filter((msg) => !known.has(msg.id));
+    if (page.length) {
+      paging.oldestLoadedAt = Math.min(paging.oldestLoadedAt, page[0].createdAt);
+    }
+    if (added.length) {
+      cached.unshift(...added);
+      cached.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+      state.messagesCache.set(conversationId, cached);
+    }
+    return added.length;
+  } finally {
+    paging.loading = false;
+  }
+}
+
+async function loadAllMessages(conversationId) {
+  const cached = state.messagesCache.get(conversationId) || [];
+  const known = new Set(cached.map((msg) => msg.id));
+  const stored = await getMessages(conversationId);
+  cached.unshift(...stored.filter((msg) => !known.has(msg.id)));
+  cached.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  state.messagesCache.set(conversationId, cached);
+  const paging = getMessagePaging(conversationId);
+  paging.hasMoreLocal = false;
+  paging.oldestLoadedAt = cached.length ? cached[0].createdAt : Infinity;
+  return cached;
+}
 
-  if (state.supabase && state.session) {
-    const remoteMessages = await fetchMessagesFromSupabase(conversationId);
-    if (remoteMessages.length) {
-      await mergeMessagesFromCloud(remoteMessages);
-    }
+async function ensureContextLoaded(conversation, contextLength) {
+  const paging = getMessagePaging(conversation.id);
+  const summaryUntil = conversation.summary ? conversation.summaryUntil || 0 : 0;
+  while (paging.hasMoreLocal && paging.oldestLoadedAt > summaryUntil) {
+    const messages = getContextMessages(state.messagesCache.get(conversation.id) || [], conversation);
+    if (estimateTokens(messages.map((msg) => msg.content).join('\n')) >= contextLength) break;
+    const added = await loadOlderMessages(conversation.id, { includeRemote: false });
+    if (!added) break;
   }
 }
 
@@ -992,58 +3953,246 @@ async function attemptChatCompletion({
   systemPrompt,
   model,
   models,
-  stream
+  params = getGenerationParams(),
+  stream,
+  signal
 }) {
-  const baseUrl = normalizeBaseUrl(profile.baseUrl);
-  const response = await fetch(`${baseUrl}/chat/completions`, {
+  const { url, headers, body } = getProviderAdapter(profile).buildRequest({
+    profile,
+    model,
+    models,
+    systemPrompt,
+    history,
+    params,
+    stream
+  });
+  const response = await fetch(url, {
     method: 'POST',
+    signal,
     headers: {
-      Authorization: `Bearer ${profile.apiKey}`,
+      ...headers,
       'Content-Type': 'application/json'
     },
-    body: JSON.stringify(buildChatRequestBody({
-      model,
-      models,
-      systemPrompt,
-      history,
-      temperature: state.settings.temperature,
-      stream
-    }))
+    body: JSON.stringify(body)
   });
   return response;
 }
 
+async function readCompletion(profile, response) {
+  const { content, tokens } = getProviderAdapter(profile).parseResponse(await response.json());
+  return { content, tokens: mergeUsage(null, tokens) };
+}
+
 async function handleSendMessage() {
   const input = document.querySelector('[data-role="message-input"]');
   if (!input) return;
   const text = input.value.trim();
-  if (!text || state.loading) return;
+  const attachments = getComposerAttachments();
+  if ((!text && !attachments.length) || state.loading) return;
   input.value = '';
 
   const conversation = getConversation(state.activeConversationId);
   if (!conversation) return;
 
+  state.composerAttachments.items = [];
+  await Promise.all(attachments.map((item) => setAttachmentData(item.id, item.dataUrl)));
   const messages = state.messagesCache.get(conversation.id) || [];
   const userMessage = {
     id: uuid(),
     conversationId: conversation.id,
     role: 'user',
     content: text,
+    attachments: attachments.map(({ id, mimeType, width, height }) => ({ id, mimeType, width, height })),
     createdAt: Date.now()
   };
   messages.push(userMessage);
   queueMessageSync(userMessage, 'create');
   updateConversationPreview(conversation.id, userMessage);
   await saveMessages(conversation.id, messages);
+  if (isGroupConversation(conversation) && conversation.turnMode === 'manual') {
+    state.messagesCache.set(conversation.id, messages);
+    await renderChatView();
+    return;
+  }
   await requestAssistant(conversation, messages);
 }
 
-async function requestAssistant(conversation, messages) {
+async function loadMessageImages(messages) {
+  return Promise.all(messages.map(async (message) => {
+    if (!message.attachments?.length) return message;
+    const images = await Promise.all(message.attachments.map(async (attachment) => ({
+      mimeType: attachment.mimeType,
+      dataUrl: await getAttachmentData(attachment)
+    })));
+    const loaded = images.filter((image) => image.dataUrl);
+    return loaded.length || message.content ? { ...message, images: loaded } : { ...message, content: '[图片]' };
+  }));
+}
+
+function stripMessageImages({ images, ...message }) {
+  if (!images?.length) return message;
+  return { ...message, content: [message.content, '[图片]'].filter(Boolean).join('\n') };
+}
+
+async function compressImage(file) {
+  const image = await loadImage(await fileToDataUrl(file));
+  const scale = Math.min(1, ATTACHMENT_MAX_DIMENSION / Math.max(image.width, image.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return {
+    dataUrl: canvas.toDataURL('image/jpeg', ATTACHMENT_JPEG_QUALITY),
+    mimeType: 'image/jpeg',
+    width: canvas.width,
+    height: canvas.height
+  };
+}
+
+function getComposerAttachments() {
+  if (state.composerAttachments.conversationId !== state.activeConversationId) {
+    state.composerAttachments = { conversationId: state.activeConversationId, items: [] };
+  }
+  return state.composerAttachments.items;
+}
+
+async function addComposerAttachments(files) {
+  const items = getComposerAttachments();
+  for (const file of files.filter((item) => item.type.startsWith('image/'))) {
+    if (items.length >= MAX_ATTACHMENTS) break;
+    try {
+      items.push({ id: uuid(), ...(await compressImage(file)) });
+    } catch (error) {
+      console.error('attachment compress failed', error);
+    }
+  }
+  renderAttachmentTray();
+}
+
+function removeComposerAttachment(attachmentId) {
+  const items = getComposerAttachments();
+  state.composerAttachments.items = items.filter((item) => item.id !== attachmentId);
+  renderAttachmentTray();
+}
+
+function renderAttachmentTray() {
+  const tray = document.querySelector('[data-role="attachment-tray"]');
+  if (!tray) return;
+  const items = getComposerAttachments();
+  const profile = getActiveProfile(getConversation(state.activeConversationId));
+  const warning = items.length && !modelSupportsImages(profile, profile?.model)
+    ? `<div class="notice attachment-warning">⚠️ 当前模型 ${escapeHtml(profile?.model || '')} 未声明支持图片输入，图片只会保存在聊天记录中，不会发送给模型。可在 API Profile 中刷新模型列表或换用视觉模型。</div>`
+    : '';
+  tray.innerHTML = items.length
+    ? `
+      <div class="attachment-list">
+        ${items.map((item) => `
+          <div class="attachment-item">
+            <img class="attachment-thumb" src="${item.dataUrl}" alt="" />
+            <button class="icon-button" data-action="remove-attachment" data-id="${item.id}">✕</button>
+          </div>
+        `).join('')}
+      </div>
+      ${warning}
+    `
+    : '';
+}
+
+function renderMessageAttachments(message) {
+  if (!message.attachments?.length) return '';
+  return `
+    <div class="attachment-list">
+      ${message.attachments.map((attachment) => {
+        const dataUrl = state.attachmentCache.get(attachment.id);
+        return dataUrl
+          ? `<img class="attachment-thumb" src="${dataUrl}" alt="" data-action="view-attachment" data-id="${attachment.id}" />`
+          : '<span class="attachment-thumb missing">图片</span>';
+      }).join('')}
+    </div>
+  `;
+}
+
+function openAttachmentModal(attachmentId) {
+  const dataUrl = state.attachmentCache.get(attachmentId);
+  if (!dataUrl) return;
+  openModal(`
+    <img class="attachment-full" src="${dataUrl}" alt="" />
+    <div class="row">
+      <button class="primary" data-action="close-modal">关闭</button>
+    </div>
+  `);
+}
+
+async function handleSpeakAs(characterId) {
+  const conversation = getConversation(state.activeConversationId);
+  if (!conversation || state.loading) return;
+  await ensureMessagesLoaded(conversation.id);
+  const messages = state.messagesCache.get(conversation.id) || [];
+  await requestAssistant(conversation, messages, { speakerId: characterId });
+}
+
+async function pickNextSpeaker(conversation, messages, profile, signal) {
+  const members = getConversationCharacters(conversation);
+  const fallback = getNextRoundRobinSpeaker(conversation, messages);
+  const transcript = getContextMessages(messages, conversation)
+    .slice(-SUMMARY_KEEP_RECENT)
+    .map((message) => {
+      const name = message.role === 'user'
+        ? state.settings.userProfile?.name || '用户'
+        : members.find((item) => item.id === message.characterId)?.name || '角色';
+      return `${name}：${message.content}`;
+    })
+    .join('\n');
+  const history = [{
+    role: 'user',
+    content: `群聊成员：${members.map((item) => item.name).join('、')}\n\n最近的对话：\n${transcript || '（暂无）'}\n\n下一位应该由谁发言？只回答成员名字。`
+  }];
+  for (const { profile: target, model } of buildModelFallbacks(profile)) {
+    if (!isProfileReady(target)) continue;
+    try {
+      const response = await attemptChatCompletion({
+        profile: target,
+        history,
+        systemPrompt: '你负责为群聊安排发言顺序。',
+        model,
+        models: null,
+        params: { temperature: 0, maxTokens: 20 },
+        stream: false,
+        signal
+      });
+      if (!response.ok) continue;
+      const { content } = await readCompletion(target, response);
+      const reply = content.trim();
+      const exact = members.find((item) => item.name === reply);
+      if (exact) return exact;
+      const picked = members
+        .map((item) => ({ item, index: reply.indexOf(item.name) }))
+        .filter(({ index }) => index >= 0)
+        .sort((a, b) => a.index - b.index || b.item.name.length - a.item.name.length)[0];
+      return picked ? picked.item : fallback;
+    } catch (error) {
+      if (error.name === 'AbortError') break;
+      console.error('pick speaker error', error);
+    }
+  }
+  return fallback;
+}
+
+async function requestAssistant(conversation, messages, options = {}) {
+  const typingId = uuid();
+  const members = getConversationCharacters(conversation);
+  const chosen = members.find((item) => item.id === options.speakerId);
   const typingMessage = {
-    id: uuid(),
+    id: typingId,
     conversationId: conversation.id,
     role: 'assistant',
+    characterId: (chosen || getNextRoundRobinSpeaker(conversation, messages)).id,
     content: '正在输入…',
+    versionGroup: options.versionGroup || typingId,
+    isActiveVersion: true,
     createdAt: Date.now(),
     temp: true
   };
@@ -1054,8 +4203,10 @@ async function requestAssistant(conversation, messages) {
   await renderChatView();
 
   const profile = getActiveProfile(conversation);
-  if (!profile?.apiKey) {
-    typingMessage.content = '⚠️ 未设置 API Key，请在设置中填写。';
+  if (!isProfileReady(profile) || !profile.model) {
+    typingMessage.content = isProfileReady(profile)
+      ? '⚠️ 未设置模型，请在设置中选择模型。'
+      : '⚠️ 未设置 API Key，请在设置中填写。';
     typingMessage.temp = false;
     state.loading = false;
     await saveMessages(conversation.id, messages);
@@ -1063,25 +4214,55 @@ async function requestAssistant(conversation, messages) {
     return;
   }
 
-  const history = messages
-    .filter((msg) => !msg.temp && !msg.isDeleted)
-    .map((msg) => ({ role: msg.role, content: msg.content }));
+  const controller = new AbortController();
+  state.abortController = controller;
 
-  const systemPrompt = buildSystemPrompt(getCharacter(conversation.characterId));
-  const modelsList = buildModelFallbacks(profile);
+  await ensureContextLoaded(conversation, getModelContextLength(profile, profile.model));
+  if (!chosen && members.length > 1 && conversation.turnMode === 'auto') {
+    typingMessage.characterId = (await pickNextSpeaker(conversation, messages, profile, controller.signal)).id;
+    await renderChatView();
+  }
+  const character = getCharacter(typingMessage.characterId);
+  const contextMessages = await loadMessageImages(getSpeakerContextMessages(
+    getContextMessages(state.messagesCache.get(conversation.id) || messages, conversation),
+    conversation,
+    character
+  ));
+  const lore = collectLoreEntries(character, contextMessages);
+  const systemPrompt = expandPromptMacros(
+    applyLoreEntries(buildSystemPrompt(character, conversation), lore),
+    { character, messages: contextMessages }
+  );
+  typingMessage.loreHits = lore.hits;
+  const params = getGenerationParams(conversation);
+  const targets = buildModelFallbacks(profile);
+  const routingModels = getRoutingModels(targets, profile);
   let allowModelsParam = true;
   let lastError = '';
 
   try {
-    for (let attemptIndex = 0; attemptIndex < modelsList.length; attemptIndex += 1) {
-      const model = modelsList[attemptIndex];
+    for (let attemptIndex = 0; attemptIndex < targets.length; attemptIndex += 1) {
+      if (controller.signal.aborted) break;
+      const { profile: target, model } = targets[attemptIndex];
+      if (!isProfileReady(target)) {
+        lastError = `${target.name || 'API Profile'} 未设置 API Key`;
+        continue;
+      }
+      const { history } = buildContextWindow({
+        systemPrompt,
+        messages: contextMessages,
+        contextLength: getModelContextLength(target, model),
+        replyReserve: params.maxTokens
+      });
       const response = await attemptChatCompletion({
-        profile,
-        history,
+        profile: target,
+        history: modelSupportsImages(target, model) ? history : history.map(stripMessageImages),
         systemPrompt,
         model,
-        models: allowModelsParam ? modelsList : null,
-        stream: state.settings.streaming
+        models: allowModelsParam && target === profile ? routingModels : null,
+        params,
+        stream: state.settings.streaming,
+        signal: controller.signal
       });
 
       if (!response.ok) {
@@ -1097,44 +4278,233 @@ async function requestAssistant(conversation, messages) {
       }
 
       if (state.settings.streaming) {
-        await handleStreamingResponse(response, typingMessage, model);
+        await handleStreamingResponse(response, typingMessage, model, target);
       } else {
-        const data = await response.json();
-        const reply = data?.choices?.[0]?.message?.content || '（没有回复内容）';
-        const usage = data?.usage;
-        typingMessage.content = reply;
+        const { content, tokens } = await readCompletion(target, response);
+        typingMessage.content = content || '（没有回复内容）';
         typingMessage.model = model;
-        if (usage) {
-          typingMessage.tokens = {
-            prompt: usage.prompt_tokens,
-            completion: usage.completion_tokens,
-            total: usage.total_tokens
-          };
+        if (tokens) {
+          typingMessage.tokens = tokens;
         }
       }
-      typingMessage.temp = false;
-      state.loading = false;
-      updateConversationPreview(conversation.id, typingMessage);
-      queueMessageSync(typingMessage, 'create');
-      await saveMessages(conversation.id, messages);
-      await renderChatView();
+      await finishAssistantMessage(conversation, messages, typingMessage);
       return;
     }
   } catch (error) {
-    lastError = `${error.name}: ${error.message}`;
-    console.error('chat/completions exception', error);
+    if (error.name !== 'AbortError') {
+      lastError = `${error.name}: ${error.message}`;
+      console.error('chat/completions exception', error);
+    }
   }
 
-  typingMessage.content = `请求失败：${lastError || '未知错误'}`;
+  if (controller.signal.aborted) {
+    if (!typingMessage.content || typingMessage.content === '正在输入…') {
+      typingMessage.content = '（已停止生成）';
+    }
+    typingMessage.model = typingMessage.model || targets[0].model;
+    typingMessage.stopped = true;
+  } else {
+    typingMessage.content = `请求失败：${lastError || '未知错误'}`;
+  }
+  await finishAssistantMessage(conversation, messages, typingMessage);
+}
+
+async function finishAssistantMessage(conversation, messages, typingMessage) {
   typingMessage.temp = false;
   state.loading = false;
+  state.abortController = null;
   updateConversationPreview(conversation.id, typingMessage);
   queueMessageSync(typingMessage, 'create');
   await saveMessages(conversation.id, messages);
   await renderChatView();
+  if (state.settings.summaryEnabled && !typingMessage.stopped) {
+    summarizeConversation(conversation.id)
+      .then((changed) => {
+        if (changed && state.activeConversationId === conversation.id) renderChatView();
+      })
+      .catch((error) => console.error('summary failed', error));
+  }
+}
+
+async function requestConversationSummary(conversation, messages) {
+  const profile = getActiveProfile(conversation);
+  if (!isProfileReady(profile)) throw new Error('未设置 API Key');
+  const character = getCharacter(conversation.characterId);
+  const members = getConversationCharacters(conversation);
+  const userName = state.settings.userProfile?.name || '用户';
+  const getSpeakerName = (msg) => (msg.role === 'user'
+    ? userName
+    : (members.find((item) => item.id === msg.characterId) || character).name);
+  const transcript = messages
+    .map((msg) => `${getSpeakerName(msg)}：${msg.content}`)
+    .join('\n');
+  const history = [{
+    role: 'user',
+    content: `已有摘要：\n${conversation.summary || '（无）'}\n\n新的对话内容：\n${transcript}`
+  }];
+  let lastError = '';
+  for (const { profile: target, model } of buildModelFallbacks(profile)) {
+    if (!isProfileReady(target)) continue;
+    const response = await attemptChatCompletion({
+      profile: target,
+      history,
+      systemPrompt: SUMMARY_PROMPT,
+      model,
+      models: null,
+      stream: false
+    });
+    if (!response.ok) {
+      lastError = await parseErrorResponse(response);
+      console.error('summary request error', lastError);
+      continue;
+    }
+    const { content } = await readCompletion(target, response);
+    const summary = content?.trim();
+    if (summary) return summary;
+  }
+  throw new Error(lastError || '没有获得摘要内容');
+}
+
+async function summarizeConversation(conversationId, force = false) {
+  const conversation = getConversation(conversationId);
+  if (!conversation || state.summarizingId) return false;
+  const pending = getContextMessages(await loadAllMessages(conversationId), conversation);
+  const threshold = Number(state.settings.summaryThreshold) || DEFAULT_SETTINGS.summaryThreshold;
+  if (!force && pending.length <= threshold) return false;
+  const older = pending.slice(0, Math.max(pending.length - SUMMARY_KEEP_RECENT, 0));
+  if (!older.length) return false;
+  state.summarizingId = conversationId;
+  try {
+    conversation.summary = await requestConversationSummary(conversation, older);
+    conversation.summaryUntil = older[older.length - 1].createdAt;
+    conversation.updatedAt = Date.now();
+    saveLocal(STORAGE_KEYS.conversations, state.conversationsIndex);
+    queueConversationSync(conversation, 'update');
+    return true;
+  } finally {
+    state.summarizingId = null;
+  }
+}
+
+function openSummaryModal(conversationId) {
+  const conversation = getConversation(conversationId);
+  if (!conversation) return;
+  const coverage = conversation.summary && conversation.summaryUntil
+    ? `已覆盖 ${formatDate(conversation.summaryUntil)} ${formatTime(conversation.summaryUntil)} 及之前的消息。`
+    : '尚未生成摘要。';
+  openModal(`
+    <h3>对话摘要</h3>
+    <div class="form-grid">
+      <textarea data-role="summary-text" placeholder="摘要会替代更早的消息注入系统提示">${escapeHtml(conversation.summary || '')}</textarea>
+      <div class="notice">${coverage}清空摘要会恢复发送完整历史。</div>
+      <div class="notice" data-role="summary-status"></div>
+      <div class="row">
+        <button class="outline" data-action="close-modal">取消</button>
+        <button class="outline" data-action="run-summary" data-id="${conversation.id}">立即总结</button>
+        <button class="primary" data-action="save-summary" data-id="${conversation.id}">保存</button>
+      </div>
+    </div>
+  `);
+}
+
+async function saveConversationSummary(conversationId) {
+  const conversation = getConversation(conversationId);
+  const input = modal.querySelector('[data-role="summary-text"]');
+  if (!conversation || !input) return;
+  conversation.summary = input.value.trim();
+  if (!conversation.summary) conversation.summaryUntil = 0;
+  conversation.updatedAt = Date.now();
+  saveLocal(STORAGE_KEYS.conversations, state.conversationsIndex);
+  queueConversationSync(conversation, 'update');
+  closeModal();
+  await renderChatView();
+}
+
+async function runConversationSummary(conversationId) {
+  const status = modal.querySelector('[data-role="summary-status"]');
+  if (status) status.textContent = '正在生成摘要…';
+  try {
+    const changed = await summarizeConversation(conversationId, true);
+    if (!changed) {
+      if (status) status.textContent = `消息不足，最近 ${SUMMARY_KEEP_RECENT} 条会保留原文。`;
+      return;
+    }
+    openSummaryModal(conversationId);
+    await renderChatView();
+  } catch (error) {
+    if (status) status.textContent = `摘要失败：${error.message}`;
+  }
+}
+
+function openGenerationModal(conversationId) {
+  const conversation = getConversation(conversationId);
+  if (!conversation) return;
+  const overrides = normalizeGenerationOverrides(conversation.generation);
+  const fields = GENERATION_PARAM_FIELDS.map((field) => `
+    <label>${field.label}
+      <input type="number" data-role="generation-field" data-key="${field.key}" value="${overrides[field.key] ?? ''}"
+        step="${field.step}" ${field.min !== undefined ? `min="${field.min}"` : ''} ${field.max !== undefined ? `max="${field.max}"` : ''}
+        placeholder="${field.key === 'temperature' ? `默认 ${state.settings.temperature}` : '默认'}" />
+    </label>
+  `).join('');
+  openModal(`
+    <h3>对话参数</h3>
+    <div class="form-grid">
+      <div class="notice">留空的项使用全局设置或模型默认值，只对当前对话生效。</div>
+      <label>模型
+        <input type="text" data-role="generation-model" value="${escapeHtml(conversation.model || '')}" placeholder="留空使用 Profile 的模型" />
+      </label>
+      ${fields}
+      <label>停止序列（每行一个，最多 ${MAX_STOP_SEQUENCES} 个）
+        <textarea data-role="generation-stop">${escapeHtml((overrides.stop || []).join('\n'))}</textarea>
+      </label>
+      <label>系统提示覆盖
+        <textarea data-role="generation-system-prompt" placeholder="留空则使用全局 Prompt">${escapeHtml(conversation.systemPromptOverride || '')}</textarea>
+      </label>
+      <div class="notice">系统提示覆盖会替代全局 Prompt，角色设定与摘要仍会注入。</div>
+      <div class="row">
+        <button class="outline" data-action="close-modal">取消</button>
+        <button class="outline" data-action="reset-generation" data-id="${conversation.id}">恢复默认</button>
+        <button class="primary" data-action="save-generation" data-id="${conversation.id}">保存</button>
+      </div>
+    </div>
+  `);
+}
+
+async function saveGenerationSettings(conversationId, reset = false) {
+  const conversation = getConversation(conversationId);
+  if (!conversation) return;
+  if (reset) {
+    conversation.model = '';
+    conversation.generation = {};
+    conversation.systemPromptOverride = '';
+  } else {
+    conversation.model = modal.querySelector('[data-role="generation-model"]')?.value.trim() || '';
+    const raw = {};
+    modal.querySelectorAll('[data-role="generation-field"]').forEach((input) => {
+      raw[input.dataset.key] = input.value.trim();
+    });
+    raw.stop = (modal.querySelector('[data-role="generation-stop"]')?.value || '')
+      .split('\n')
+      .filter((line) => line.trim());
+    conversation.generation = normalizeGenerationOverrides(raw);
+    conversation.systemPromptOverride = modal.querySelector('[data-role="generation-system-prompt"]')?.value.trim() || '';
+  }
+  conversation.updatedAt = Date.now();
+  saveLocal(STORAGE_KEYS.conversations, state.conversationsIndex);
+  queueConversationSync(conversation, 'update');
+  closeModal();
+  await renderChatView();
+}
+
+function stopGeneration() {
+  if (state.abortController) {
+    state.abortController.abort();
+  }
 }
 
-async function handleStreamingResponse(response, typingMessage, modelName) {
+async function handleStreamingResponse(response, typingMessage, modelName, profile) {
+  const adapter = getProviderAdapter(profile);
   const reader = response.body?.getReader();
   if (!reader) {
     typingMessage.content = '请求失败：未获得可读流。';
@@ -1155,18 +4525,25 @@ async function handleStreamingResponse(response, typingMessage, modelName) {
     buffer = lines.pop() || '';
     for (const line of lines) {
       const trimmed = line.trim();
-      if (!trimmed.startsWith('data:')) continue;
-      const payload = trimmed.replace(/^data:\s*/, '');
-      if (payload === '[DONE]') continue;
+      let payload = trimmed;
+      if (adapter.streamFormat === 'sse') {
+        if (!trimmed.startsWith('data:')) continue;
+        payload = trimmed.replace(/^data:\s*/, '');
+        if (payload === '[DONE]') continue;
+      } else if (!trimmed) {
+        continue;
+      }
       try {
-        const json = JSON.parse(payload);
-        const delta = json?.choices?.[0]?.delta?.content || '';
+        const { delta, tokens } = adapter.parseStreamChunk(JSON.parse(payload));
+        if (tokens) {
+          typingMessage.tokens = mergeUsage(typingMessage.tokens, tokens);
+        }
         if (delta) {
           if (typingMessage.content === '正在输入…') {
             typingMessage.content = '';
           }
           typingMessage.content += delta;
-          await renderChatView();
+          patchMessageBubble(typingMessage);
         }
       } catch (error) {
         console.error('流式解析失败', error);
@@ -1177,10 +4554,17 @@ async function handleStreamingResponse(response, typingMessage, modelName) {
 
 function openNewConversationModal() {
   const characterOptions = state.charactersIndex.map((item) =>
-    `<option value="${item.id}">${item.name}</option>`
+    `<option value="${item.id}">${escapeHtml(item.name)}</option>`
   ).join('');
+  const defaultProfileId = getCharacterDefaultProfileId(state.charactersIndex[0]);
   const profileOptions = state.apiProfiles.map((item) =>
-    `<option value="${item.id}">${item.name}</option>`
+    `<option value="${item.id}" ${item.id === defaultProfileId ? 'selected' : ''}>${escapeHtml(item.name)}</option>`
+  ).join('');
+  const memberOptions = state.charactersIndex.map((item) => `
+    <label class="toggle"><input type="checkbox" data-role="conversation-member" value="${item.id}" />${escapeHtml(item.name)}</label>
+  `).join('');
+  const turnModeOptions = Object.entries(TURN_MODE_LABELS).map(([value, label]) =>
+    `<option value="${value}">${label}</option>`
   ).join('');
 
   openModal(`
@@ -1192,6 +4576,13 @@ function openNewConversationModal() {
       <label>选择 API Profile
         <select data-role="conversation-profile">${profileOptions}</select>
       </label>
+      <div>群聊成员（可选）
+        <div class="badge-group">${memberOptions}</div>
+      </div>
+      <label>发言顺序
+        <select data-role="conversation-turn-mode">${turnModeOptions}</select>
+      </label>
+      <div class="notice">勾选其他角色即可创建群聊，第一个选择的角色负责开场白。</div>
       <div class="row">
         <button class="outline" data-action="close-modal">取消</button>
         <button class="primary" data-action="confirm-new-conversation">创建</button>
@@ -1200,33 +4591,379 @@ function openNewConversationModal() {
   `);
 }
 
-function createConversation(characterId, profileId) {
+async function createConversation(characterId, profileId, options = {}) {
+  const { messages: seedMessages, ...fields } = options;
+  const character = getCharacter(characterId);
   const nextIndex = state.conversationsIndex.length + 1;
+  const apiProfileId = profileId || getCharacterDefaultProfileId(character);
   const conversation = {
     id: uuid(),
     title: `新对话 ${nextIndex}`,
     updatedAt: Date.now(),
     preview: '暂无消息',
-    characterId: characterId || state.charactersIndex[0].id,
-    apiProfileId: profileId || state.settings.activeApiProfileId,
-    isDeleted: false
+    characterId: character.id,
+    apiProfileId,
+    model: apiProfileId === character.preferredProfileId ? character.preferredModel || '' : '',
+    generation: character.preferredTemperature == null ? {} : { temperature: character.preferredTemperature },
+    parentId: null,
+    forkMessageId: null,
+    isDeleted: false,
+    ...fields
   };
+  const messages = (seedMessages || buildGreetingMessages(character))
+    .map((message) => ({ ...message, conversationId: conversation.id }));
+  if (messages.length) {
+    conversation.preview = shorten(getMessageContent(messages[messages.length - 1]), 40);
+  }
   state.conversationsIndex.push(conversation);
   saveLocal(STORAGE_KEYS.conversations, state.conversationsIndex);
   queueConversationSync(conversation, 'create');
+  messages.forEach((message) => queueMessageSync(message, 'create'));
   state.activeConversationId = conversation.id;
-  state.messagesCache.set(conversation.id, []);
+  state.messagesCache.set(conversation.id, messages);
+  if (messages.length) {
+    await saveMessages(conversation.id, messages);
+  }
   render();
+  return conversation;
+}
+
+function buildGreetingMessages(character) {
+  if (!character?.greeting) return [];
+  const id = uuid();
+  return [{
+    id,
+    role: 'assistant',
+    characterId: character.id,
+    content: character.greeting,
+    isGreeting: true,
+    versionGroup: id,
+    isActiveVersion: true,
+    createdAt: Date.now()
+  }];
+}
+
+async function forkConversation(sourceId, messageId, { includeTarget = true } = {}) {
+  const source = getConversation(sourceId);
+  if (!source) return null;
+  const visible = (await loadAllMessages(sourceId)).filter((item) => !item.temp && isVisibleMessage(item));
+  const index = visible.findIndex((item) => item.id === messageId);
+  if (index < 0) return null;
+  const forkPoint = visible[index];
+  const now = Date.now();
+  const seed = await Promise.all(visible.slice(0, includeTarget ? index + 1 : index).map(async (message) => {
+    const id = uuid();
+    const attachments = await copyMessageAttachments(message.attachments);
+    return { ...message, id, attachments, versionGroup: id, isActiveVersion: true, updatedAt: now };
+  }));
+  const keepSummary = source.summary && (source.summaryUntil || 0) < forkPoint.createdAt;
+  const branch = await createConversation(source.characterId, source.apiProfileId, {
+    title: `${source.title} · 分支`,
+    parentId: source.id,
+    forkMessageId: forkPoint.id,
+    markdown: source.markdown,
+    model: source.model || '',
+    generation: normalizeGenerationOverrides(source.generation),
+    systemPromptOverride: source.systemPromptOverride || '',
+    characterIds: source.characterIds || [],
+    turnMode: source.turnMode,
+    summary: keepSummary ? source.summary : '',
+    summaryUntil: keepSummary ? source.summaryUntil : 0,
+    messages: seed
+  });
+  return branch;
 }
 
 function openConversationMenu(conversationId) {
   openMenu(`
     <button class="icon-button" data-action="rename-conversation" data-id="${conversationId}">重命名</button>
+    <button class="icon-button" data-action="export-conversation" data-id="${conversationId}" data-format="markdown">导出 Markdown</button>
+    <button class="icon-button" data-action="export-conversation" data-id="${conversationId}" data-format="html">导出 HTML</button>
+    <button class="icon-button" data-action="export-conversation" data-id="${conversationId}" data-format="json">导出 JSON</button>
     <button class="icon-button" data-action="delete-conversation" data-id="${conversationId}">删除</button>
     <button class="icon-button" data-action="close-menu">关闭</button>
   `);
 }
 
+const EXPORT_FORMAT = 'serren-chat-export';
+const EXPORT_VERSION = 2;
+
+async function collectConversationExport(conversationId) {
+  const conversation = getConversation(conversationId);
+  const cached = state.messagesCache.get(conversationId) || [];
+  const stored = await getMessages(conversationId);
+  const byId = new Map([...stored, ...cached].map((message) => [message.id, message]));
+  const messages = Array.from(byId.values())
+    .filter((message) => !message.temp && !message.isDeleted)
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  return {
+    conversation,
+    character: getCharacter(conversation.characterId),
+    messages
+  };
+}
+
+function getExportSpeaker(entry, message) {
+  return message.role === 'user'
+    ? state.settings.userProfile?.name || '我'
+    : state.charactersIndex.find((item) => item.id === message.characterId)?.name || entry.character?.name || 'Assistant';
+}
+
+function formatExportTime(ts) {
+  return new Date(ts).toLocaleString('zh-CN', { hour12: false });
+}
+
+function buildMarkdownExport(entries) {
+  return entries.map((entry) => {
+    const { conversation, character } = entry;
+    const lines = [
+      `# ${conversation.title}`,
+      '',
+      `> 角色：${character?.name || '—'} · 导出时间：${formatExportTime(Date.now())}`,
+      ''
+    ];
+    if (conversation.summary) {
+      lines.push('## 摘要', '', conversation.summary, '');
+    }
+    entry.messages.filter(isVisibleMessage).forEach((message) => {
+      const meta = [formatExportTime(message.createdAt), message.model].filter(Boolean).join(' · ');
+      lines.push(`**${getExportSpeaker(entry, message)}** · ${meta}`, '', getMessageContent(message), '', '---', '');
+    });
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+async function buildHtmlExport(entries, title) {
+  const userAvatar = await getAvatar(state.settings.userProfile?.avatarKey);
+  const sections = await Promise.all(entries.map(async (entry) => {
+    const { conversation, character } = entry;
+    const characterAvatar = await getAvatar(character?.avatarKey);
+    const memberAvatars = new Map(await Promise.all(
+      getConversationCharacters(conversation).map(async (item) => [item.id, await getAvatar(item.avatarKey)])
+    ));
+    const avatarHtml = (dataUrl, name) => dataUrl
+      ? `<img class="avatar" src="${dataUrl}" alt="" />`
+      : `<span class="avatar">${escapeHtml((name || '?').slice(0, 1))}</span>`;
+    const bubbles = entry.messages.filter(isVisibleMessage).map((message) => {
+      const speaker = getExportSpeaker(entry, message);
+      const body = message.role === 'assistant' && isMarkdownEnabled(conversation)
+        ? `<div class="markdown-body">${renderMarkdown(getMessageContent(message))}</div>`
+        : `<div class="plain">${escapeHtml(getMessageContent(message))}</div>`;
+      const meta = [formatExportTime(message.createdAt), message.model].filter(Boolean).map(escapeHtml).join(' · ');
+      return `
+        <div class="message ${message.role}">
+          ${avatarHtml(message.role === 'user' ? userAvatar : memberAvatars.get(message.characterId) || characterAvatar, speaker)}
+          <div class="bubble">
+            <div class="speaker">${escapeHtml(speaker)}</div>
+            ${body}
+            <div class="meta">${meta}</div>
+          </div>
+        </div>
+      `;
+    }).join('');
+    return `
+      <section>
+        <h1>${escapeHtml(conversation.title)}</h1>
+        <p class="meta">角色：${escapeHtml(character?.name || '—')}</p>
+        ${conversation.summary ? `<blockquote>${escapeHtml(conversation.summary)}</blockquote>` : ''}
+        ${bubbles}
+      </section>
+    `;
+  }));
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${escapeHtml(title)}</title>
+<style>
+body { margin: 0; padding: 24px 16px; background: #f4f6fb; color: #20304f; font-family: "PingFang SC", system-ui, sans-serif; }
+section { max-width: 720px; margin: 0 auto 48px; }
+h1 { font-size: 1.3rem; }
+.meta { font-size: 0.75rem; color: #7b859d; }
+blockquote { border-left: 3px solid #b7c7ff; margin: 0 0 16px; padding-left: 12px; color: #7b859d; white-space: pre-wrap; }
+.message { display: flex; gap: 10px; margin: 14px 0; align-items: flex-start; }
+.message.user { flex-direction: row-reverse; }
+.avatar { width: 36px; height: 36px; border-radius: 50%; object-fit: cover; background: #b7c7ff; color: #fff; display: inline-flex; align-items: center; justify-content: center; flex-shrink: 0; }
+.bubble { max-width: 80%; padding: 10px 14px; border-radius: 16px; background: #fff; box-shadow: 0 8px 20px rgba(45, 56, 87, 0.08); display: grid; gap: 6px; }
+.message.user .bubble { background: #dbe8ff; }
+.speaker { font-size: 0.8rem; font-weight: 600; }
+.plain { white-space: pre-wrap; }
+.markdown-body { line-height: 1.55; overflow-wrap: anywhere; }
+.markdown-body pre { margin: 0; padding: 10px; overflow-x: auto; }
+.code-block { border-radius: 10px; overflow: hidden; background: #1f2433; color: #e6e9f2; }
+.code-toolbar { padding: 4px 10px; font-size: 0.75rem; color: #a3abc2; }
+.code-copy { display: none; }
+.tok-keyword { color: #c792ea; } .tok-string { color: #c3e88d; } .tok-number { color: #f78c6c; }
+.tok-comment { color: #7f8aa8; font-style: italic; } .tok-function { color: #82aaff; } .tok-tag { color: #ff7aa2; }
+table { border-collapse: collapse; } th, td { border: 1px solid #d5dbea; padding: 4px 8px; }
+</style>
+</head>
+<body>
+${sections.join('')}
+</body>
+</html>`;
+}
+
+function toExportCharacter(character) {
+  return character ? { id: character.id, name: character.name, prompt: character.prompt || '' } : null;
+}
+
+async function exportMessageAttachments(attachments = []) {
+  return Promise.all(attachments.map(async ({ path, ...attachment }) => ({
+    ...attachment,
+    dataUrl: await getAttachmentData({ ...attachment, path })
+  })));
+}
+
+async function buildJsonExport(entries) {
+  const conversations = await Promise.all(entries.map(async ({ conversation, character, messages }) => ({
+    conversation,
+    character: toExportCharacter(character),
+    members: getConversationCharacters(conversation).map(toExportCharacter),
+    messages: await Promise.all(messages.map(async (message) => ({
+      id: message.id,
+      role: message.role,
+      characterId: message.characterId || null,
+      content: message.content,
+      isGreeting: Boolean(message.isGreeting),
+      attachments: await exportMessageAttachments(message.attachments),
+      loreHits: message.loreHits || [],
+      model: message.model || '',
+      tokens: message.tokens || null,
+      stopped: Boolean(message.stopped),
+      versionGroup: getVersionGroupId(message),
+      isActiveVersion: message.isActiveVersion !== false,
+      createdAt: message.createdAt,
+      updatedAt: message.updatedAt || message.createdAt
+    })))
+  })));
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversations
+  }, null, 2);
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportConversations(conversationIds, format, title) {
+  const entries = await Promise.all(conversationIds.map(collectConversationExport));
+  const date = new Date().toISOString().slice(0, 10);
+  const baseName = `serren-${title.replace(/[\\/:*?"<>|\s]+/g, '-')}-${date}`;
+  if (format === 'markdown') {
+    downloadFile(`${baseName}.md`, buildMarkdownExport(entries), 'text/markdown;charset=utf-8');
+  } else if (format === 'html') {
+    downloadFile(`${baseName}.html`, await buildHtmlExport(entries, title), 'text/html;charset=utf-8');
+  } else {
+    downloadFile(`${baseName}.json`, await buildJsonExport(entries), 'application/json;charset=utf-8');
+  }
+}
+
+function resolveImportedCharacter(character) {
+  if (!character) return state.charactersIndex[0].id;
+  const existing = state.charactersIndex.find((item) => item.id === character.id)
+    || state.charactersIndex.find((item) => item.name === character.name);
+  if (existing) return existing.id;
+  const created = {
+    ...character,
+    id: uuid(),
+    name: character.name || '导入的角色',
+    prompt: character.prompt || '',
+    avatarKey: `character:${uuid()}`,
+    avatarUpdatedAt: 0
+  };
+  state.charactersIndex.push(created);
+  queueCharacterSync(created, 'create');
+  return created.id;
+}
+
+async function importMessageAttachments(attachments = []) {
+  const imported = [];
+  for (const { dataUrl, path, ...attachment } of attachments) {
+    if (!dataUrl) continue;
+    const id = uuid();
+    await setAttachmentData(id, dataUrl);
+    imported.push({ ...attachment, id });
+  }
+  return imported;
+}
+
+async function importConversations(data) {
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.conversations)) {
+    throw new Error('不是有效的导出文件');
+  }
+  const conversationIds = new Map(data.conversations.map((entry) => [entry.conversation?.id, uuid()]));
+  let imported = 0;
+  for (const entry of data.conversations) {
+    if (!entry.conversation?.id) continue;
+    const { syncedAt, syncedUpdatedAt, unreadCount, ...source } = entry.conversation;
+    const id = conversationIds.get(source.id);
+    const characterIds = new Map((entry.members || []).map((member) => [member?.id, resolveImportedCharacter(member)]));
+    const characterId = characterIds.get(entry.character?.id) || resolveImportedCharacter(entry.character);
+    const resolveCharacterId = (item) => characterIds.get(item)
+      || (state.charactersIndex.some((character) => character.id === item) ? item : null);
+    const messageIds = new Map((entry.messages || []).map((message) => [message.id, uuid()]));
+    const messages = await Promise.all((entry.messages || []).map(async (message) => ({
+      ...message,
+      id: messageIds.get(message.id),
+      conversationId: id,
+      characterId: resolveCharacterId(message.characterId) || (message.role === 'assistant' ? characterId : null),
+      attachments: await importMessageAttachments(message.attachments),
+      versionGroup: messageIds.get(message.versionGroup) || messageIds.get(message.id),
+      isDeleted: false
+    })));
+    const conversation = {
+      ...source,
+      id,
+      characterId,
+      characterIds: (source.characterIds || []).map(resolveCharacterId).filter(Boolean),
+      apiProfileId: state.apiProfiles.some((item) => item.id === source.apiProfileId)
+        ? source.apiProfileId
+        : state.settings.activeApiProfileId,
+      parentId: conversationIds.get(source.parentId) || null,
+      forkMessageId: null,
+      isDeleted: false
+    };
+    state.conversationsIndex.push(conversation);
+    queueConversationSync(conversation, 'create');
+    await saveMessages(id, messages);
+    messages.forEach((message) => queueMessageSync(message, 'create'));
+    imported += 1;
+  }
+  saveLocal(STORAGE_KEYS.conversations, state.conversationsIndex);
+  return imported;
+}
+
+async function handleImportConversations() {
+  const input = document.querySelector('[data-role="import-file"]');
+  const status = document.querySelector('[data-role="import-status"]');
+  const file = input?.files?.[0];
+  if (!file) {
+    alert('请选择要导入的 JSON 文件。');
+    return;
+  }
+  try {
+    const count = await importConversations(JSON.parse(await file.text()));
+    render();
+    const refreshed = document.querySelector('[data-role="import-status"]');
+    if (refreshed) refreshed.textContent = `已导入 ${count} 个对话。`;
+  } catch (error) {
+    console.error('import failed', error);
+    if (status) status.textContent = `导入失败：${error.message}`;
+  }
+}
+
 function openMessageMenu(messageId) {
   const conversation = getConversation(state.activeConversationId);
   const messages = state.messagesCache.get(conversation.id) || [];
@@ -1236,11 +4973,14 @@ function openMessageMenu(messageId) {
     ? `
       <button class="icon-button" data-action="copy-message" data-id="${messageId}">复制</button>
       <button class="icon-button" data-action="regenerate-message" data-id="${messageId}">重新生成</button>
+      ${message.loreHits?.length ? `<button class="icon-button" data-action="show-lore-hits" data-id="${messageId}">世界书触发</button>` : ''}
+      <button class="icon-button" data-action="fork-conversation" data-id="${messageId}">从这里分支</button>
       <button class="icon-button" data-action="delete-message" data-id="${messageId}">删除</button>
     `
     : `
       <button class="icon-button" data-action="copy-message" data-id="${messageId}">复制</button>
       <button class="icon-button" data-action="edit-message" data-id="${messageId}">编辑</button>
+      <button class="icon-button" data-action="fork-conversation" data-id="${messageId}">从这里分支</button>
       <button class="icon-button" data-action="delete-message" data-id="${messageId}">删除</button>
     `;
   openMenu(`${actions}<button class="icon-button" data-action="close-menu">关闭</button>`);
@@ -1255,13 +4995,14 @@ async function handleDeleteConversation(conversationId) {
     queueConversationSync(convo, 'delete');
   }
   saveLocal(STORAGE_KEYS.conversations, state.conversationsIndex);
-  const messages = state.messagesCache.get(conversationId) || await getMessages(conversationId);
+  const messages = await loadAllMessages(conversationId);
   messages.forEach((message) => {
     message.isDeleted = true;
     queueMessageSync(message, 'delete');
   });
   state.messagesCache.set(conversationId, messages);
   await saveMessages(conversationId, messages);
+  await removeMessageAttachments(messages);
   if (state.activeConversationId === conversationId) {
     state.activeConversationId = null;
   }
@@ -1297,55 +5038,111 @@ async function handleDeleteMessage(messageId) {
   if (target) {
     target.isDeleted = true;
     queueMessageSync(target, 'delete');
+    if (target.isActiveVersion !== false) {
+      const siblings = groupMessageVersions(messages).get(getVersionGroupId(target)) || [];
+      const fallback = siblings[siblings.length - 1];
+      if (fallback) {
+        fallback.isActiveVersion = true;
+        fallback.updatedAt = Date.now();
+        queueMessageSync(fallback, 'update');
+      }
+    }
   }
   state.messagesCache.set(conversation.id, messages);
   await saveMessages(conversation.id, messages);
+  if (target) await removeMessageAttachments([target]);
   closeMenu();
   render();
 }
 
-async function handleEditMessage(messageId) {
+async function handleEditMessage(messageId) {
+  const conversation = getConversation(state.activeConversationId);
+  const messages = state.messagesCache.get(conversation.id) || [];
+  const messageIndex = messages.findIndex((item) => item.id === messageId);
+  if (messageIndex < 0) return;
+  const message = messages[messageIndex];
+  const content = prompt('编辑消息（之后有回复时会在新分支中继续）', message.content);
+  if (!content || content === message.content) return;
+  const visible = messages.filter(isVisibleMessage);
+  const hasLater = visible.findIndex((item) => item.id === messageId) < visible.length - 1;
+  if (!hasLater) {
+    message.content = content;
+    message.updatedAt = Date.now();
+    queueMessageSync(message, 'update');
+    await saveMessages(conversation.id, messages);
+    closeMenu();
+    render();
+    return;
+  }
+  const confirmEdit = confirm('编辑会创建一个新分支并重新生成回复，原对话会完整保留，继续吗？');
+  if (!confirmEdit) return;
+  closeMenu();
+  const branch = await forkConversation(conversation.id, messageId, { includeTarget: false });
+  if (!branch) return;
+  const branchMessages = state.messagesCache.get(branch.id);
+  const editedMessage = {
+    id: uuid(),
+    conversationId: branch.id,
+    role: 'user',
+    content,
+    createdAt: Date.now()
+  };
+  branchMessages.push(editedMessage);
+  queueMessageSync(editedMessage, 'create');
+  updateConversationPreview(branch.id, editedMessage);
+  await saveMessages(branch.id, branchMessages);
+  await requestAssistant(branch, branchMessages);
+}
+
+async function handleRegenerateMessage(messageId) {
   const conversation = getConversation(state.activeConversationId);
   const messages = state.messagesCache.get(conversation.id) || [];
-  const messageIndex = messages.findIndex((item) => item.id === messageId);
-  if (messageIndex < 0) return;
-  const message = messages[messageIndex];
-  const content = prompt('编辑消息（编辑会影响后续回复）', message.content);
-  if (!content) return;
-  const confirmEdit = confirm('编辑会影响后续回复，将删除该条之后的回复，继续吗？');
-  if (!confirmEdit) return;
-  message.content = content;
-  queueMessageSync(message, 'update');
-  const trimmed = messages.map((item, index) => {
-    if (index > messageIndex && item.role === 'assistant') {
-      item.isDeleted = true;
-      queueMessageSync(item, 'delete');
-    }
-    return item;
+  const target = messages.find((item) => item.id === messageId);
+  if (!target) return;
+  const groupId = getVersionGroupId(target);
+  const lastVersionIndex = messages.reduce((last, item, idx) => (
+    !item.isDeleted && getVersionGroupId(item) === groupId ? idx : last
+  ), -1);
+  const later = messages.slice(lastVersionIndex + 1).filter((item) => !item.isDeleted);
+  if (later.length && !confirm('重新生成会删除这条之后的消息，继续吗？')) return;
+  const now = Date.now();
+  later.forEach((item) => {
+    item.isDeleted = true;
+    queueMessageSync(item, 'delete');
   });
-  state.messagesCache.set(conversation.id, trimmed);
-  await saveMessages(conversation.id, trimmed);
+  messages.forEach((item) => {
+    if (item.isDeleted || getVersionGroupId(item) !== groupId) return;
+    item.versionGroup = groupId;
+    item.isActiveVersion = false;
+    item.updatedAt = now;
+    queueMessageSync(item, 'update');
+  });
+  state.messagesCache.set(conversation.id, messages);
+  await saveMessages(conversation.id, messages);
+  await removeMessageAttachments(later);
   closeMenu();
   render();
+  await requestAssistant(conversation, messages, { versionGroup: groupId, speakerId: target.characterId });
 }
 
-async function handleRegenerateMessage(messageId) {
+async function switchMessageVersion(messageId, direction) {
   const conversation = getConversation(state.activeConversationId);
+  if (!conversation || state.loading) return;
   const messages = state.messagesCache.get(conversation.id) || [];
-  const index = messages.findIndex((item) => item.id === messageId);
-  if (index < 0) return;
-  const trimmed = messages.map((item, idx) => {
-    if (idx >= index) {
-      item.isDeleted = true;
-      queueMessageSync(item, 'delete');
-    }
-    return item;
+  const current = messages.find((item) => item.id === messageId);
+  if (!current) return;
+  const versions = groupMessageVersions(messages).get(getVersionGroupId(current)) || [];
+  const next = versions[versions.findIndex((item) => item.id === current.id) + direction];
+  if (!next) return;
+  const now = Date.now();
+  versions.forEach((item) => {
+    item.versionGroup = getVersionGroupId(current);
+    item.isActiveVersion = item.id === next.id;
+    item.updatedAt = now;
+    queueMessageSync(item, 'update');
   });
-  state.messagesCache.set(conversation.id, trimmed);
-  await saveMessages(conversation.id, trimmed);
-  closeMenu();
-  render();
-  await requestAssistant(conversation, trimmed);
+  await saveMessages(conversation.id, messages);
+  await renderChatView();
 }
 
 function openCharacterEditor(characterId) {
@@ -1359,18 +5156,202 @@ async function saveCharacter() {
   const fileInput = document.querySelector('[data-role="character-avatar"]');
   const character = getCharacter(state.activeCharacterId);
   if (!character) return;
+  const readField = (role) => document.querySelector(`[data-role="${role}"]`)?.value.trim() || '';
   character.name = nameInput.value.trim() || character.name;
   character.prompt = promptInput.value.trim();
-  if (fileInput.files[0]) {
-    const file = fileInput.files[0];
+  character.description = readField('character-description');
+  character.personality = readField('character-personality');
+  character.scenario = readField('character-scenario');
+  character.greeting = readField('character-greeting');
+  character.exampleDialogue = readField('character-example');
+  character.preferredProfileId = readField('character-profile') || null;
+  character.preferredModel = readField('character-model');
+  character.preferredTemperature = normalizeGenerationOverrides({
+    temperature: readField('character-temperature')
+  }).temperature ?? null;
+  const file = fileInput.files[0];
+  if (file) {
     const dataUrl = await fileToDataUrl(file);
     await setAvatar(character.avatarKey, dataUrl);
   }
-  saveLocal(STORAGE_KEYS.characters, state.charactersIndex);
+  queueCharacterSync(character, 'update', { avatar: Boolean(file) });
   state.activeCharacterId = null;
   render();
 }
 
+function updateCharacterPreview() {
+  const preview = document.querySelector('[data-role="character-preview"]');
+  if (!preview) return;
+  const readField = (role) => document.querySelector(`[data-role="${role}"]`)?.value.trim() || '';
+  const draft = {
+    name: readField('character-name') || getCharacter(state.activeCharacterId)?.name,
+    prompt: readField('character-prompt'),
+    description: readField('character-description'),
+    personality: readField('character-personality'),
+    scenario: readField('character-scenario'),
+    exampleDialogue: readField('character-example')
+  };
+  const greeting = readField('character-greeting');
+  preview.textContent = expandPromptMacros(
+    [buildCharacterPrompt(draft), greeting && `开场白：${greeting}`].filter(Boolean).join('\n\n'),
+    { character: draft }
+  ) || '（空）';
+}
+
+function getLorebookScopeLabel(book) {
+  if (!book.characterId) return '全局';
+  const character = state.charactersIndex.find((item) => item.id === book.characterId);
+  return character ? `角色：${character.name}` : '角色已删除';
+}
+
+function openLorebookModal(lorebookId) {
+  const book = state.lorebooks.find((item) => item.id === lorebookId) || {
+    id: uuid(),
+    name: '',
+    characterId: '',
+    enabled: true,
+    scanDepth: LOREBOOK_SCAN_DEPTH,
+    tokenBudget: LOREBOOK_TOKEN_BUDGET,
+    entries: []
+  };
+  const characterOptions = state.charactersIndex.map((item) => `
+    <option value="${item.id}" ${item.id === book.characterId ? 'selected' : ''}>${escapeHtml(item.name)}</option>
+  `).join('');
+  openModal(`
+    <h3>${lorebookId ? '编辑' : '新建'}世界书</h3>
+    <div class="form-grid">
+      <label>名称
+        <input type="text" data-role="lorebook-name" value="${escapeHtml(book.name)}" />
+      </label>
+      <label>作用范围
+        <select data-role="lorebook-character">
+          <option value="">全局（所有角色）</option>
+          ${characterOptions}
+        </select>
+      </label>
+      <div class="inline-inputs">
+        <label>扫描最近消息数
+          <input type="number" min="1" step="1" data-role="lorebook-depth" value="${book.scanDepth || LOREBOOK_SCAN_DEPTH}" />
+        </label>
+        <label>Token 预算
+          <input type="number" min="1" step="1" data-role="lorebook-budget" value="${book.tokenBudget || LOREBOOK_TOKEN_BUDGET}" />
+        </label>
+      </div>
+      <div class="toggle">
+        <input type="checkbox" data-role="lorebook-enabled" ${book.enabled !== false ? 'checked' : ''} />
+        <label>启用</label>
+      </div>
+      <div class="notice">关键词用逗号或换行分隔，支持中文；写成 /正则/ 的形式按正则匹配。</div>
+      <div class="form-grid" data-role="lore-entry-list"></div>
+      <button class="outline" type="button" data-action="add-lore-entry">添加条目</button>
+      <input type="hidden" data-role="lorebook-id" value="${book.id}" />
+      <div class="row">
+        ${lorebookId ? `<button class="outline" data-action="delete-lorebook" data-id="${book.id}">删除</button>` : ''}
+        <button class="outline" data-action="close-modal">取消</button>
+        <button class="primary" data-action="save-lorebook">保存</button>
+      </div>
+    </div>
+  `);
+  renderLoreEntryList(book.entries || []);
+}
+
+function renderLoreEntryList(entries) {
+  const container = modal.querySelector('[data-role="lore-entry-list"]');
+  if (!container) return;
+  container.innerHTML = entries.map((entry, index) => {
+    const positionOptions = Object.entries(LORE_POSITION_LABELS).map(([value, label]) => `
+      <option value="${value}" ${value === (entry.position || 'before') ? 'selected' : ''}>${label}</option>
+    `).join('');
+    return `
+    <div class="card form-grid lore-entry" data-role="lore-entry-row" data-id="${entry.id}">
+      <input type="text" data-role="lore-title" value="${escapeHtml(entry.title || '')}" placeholder="条目标题（可选）" />
+      <textarea data-role="lore-keywords" placeholder="关键词">${escapeHtml((entry.keywords || []).join('\n'))}</textarea>
+      <textarea data-role="lore-content" placeholder="注入内容">${escapeHtml(entry.content || '')}</textarea>
+      <div class="inline-inputs">
+        <select data-role="lore-position">${positionOptions}</select>
+        <input type="number" step="1" data-role="lore-priority" value="${entry.priority || 0}" title="优先级，越大越先注入" />
+      </div>
+      <div class="row">
+        <div class="toggle">
+          <input type="checkbox" data-role="lore-enabled" ${entry.enabled !== false ? 'checked' : ''} />
+          <label>启用</label>
+        </div>
+        <button class="icon-button" data-action="remove-lore-entry" data-index="${index}">移除</button>
+      </div>
+    </div>
+  `;
+  }).join('');
+}
+
+function getLoreEntriesFromModal() {
+  return Array.from(modal.querySelectorAll('[data-role="lore-entry-row"]')).map((row) => ({
+    id: row.dataset.id,
+    title: row.querySelector('[data-role="lore-title"]').value.trim(),
+    keywords: parseLoreKeywords(row.querySelector('[data-role="lore-keywords"]').value),
+    content: row.querySelector('[data-role="lore-content"]').value.trim(),
+    position: row.querySelector('[data-role="lore-position"]').value,
+    priority: Number(row.querySelector('[data-role="lore-priority"]').value) || 0,
+    enabled: row.querySelector('[data-role="lore-enabled"]').checked
+  }));
+}
+
+function saveLorebook() {
+  const id = modal.querySelector('[data-role="lorebook-id"]').value;
+  const fields = {
+    name: modal.querySelector('[data-role="lorebook-name"]').value.trim() || '未命名世界书',
+    characterId: modal.querySelector('[data-role="lorebook-character"]').value,
+    enabled: modal.querySelector('[data-role="lorebook-enabled"]').checked,
+    scanDepth: Math.max(1, Math.round(Number(modal.querySelector('[data-role="lorebook-depth"]').value)) || LOREBOOK_SCAN_DEPTH),
+    tokenBudget: Math.max(1, Math.round(Number(modal.querySelector('[data-role="lorebook-budget"]').value)) || LOREBOOK_TOKEN_BUDGET),
+    entries: getLoreEntriesFromModal().filter((entry) => entry.keywords.length || entry.content),
+    updatedAt: Date.now()
+  };
+  const existing = state.lorebooks.find((item) => item.id === id);
+  if (existing) {
+    Object.assign(existing, fields);
+  } else {
+    state.lorebooks.push({ id, ...fields });
+  }
+  saveLocal(STORAGE_KEYS.lorebooks, state.lorebooks);
+  queueLorebookSync(existing || state.lorebooks[state.lorebooks.length - 1], existing ? 'update' : 'create');
+  closeModal();
+  render();
+}
+
+function deleteLorebook(lorebookId) {
+  if (!confirm('确定删除该世界书吗？')) return;
+  const book = state.lorebooks.find((item) => item.id === lorebookId);
+  state.lorebooks = state.lorebooks.filter((item) => item.id !== lorebookId);
+  saveLocal(STORAGE_KEYS.lorebooks, state.lorebooks);
+  if (book) queueLorebookSync({ ...book, updatedAt: Date.now() }, 'delete');
+  closeModal();
+  render();
+}
+
+function openLoreHitsModal(messageId) {
+  const messages = state.messagesCache.get(state.activeConversationId) || [];
+  const message = messages.find((item) => item.id === messageId);
+  if (!message) return;
+  const hits = message.loreHits || [];
+  const items = hits.map((hit) => `
+    <div class="list-item">
+      <div>
+        <strong>${escapeHtml(hit.title)}</strong>
+        <div class="notice">${escapeHtml(hit.bookName)} · 关键词「${escapeHtml(hit.keyword)}」 · ${LORE_POSITION_LABELS[hit.position] || LORE_POSITION_LABELS.before} · 约 ${hit.tokens} tokens${hit.skipped === 'budget' ? ' · 超出预算未注入' : ''}</div>
+      </div>
+    </div>
+  `).join('');
+  openModal(`
+    <h3>世界书触发记录</h3>
+    <div class="form-grid">
+      ${items || '<div class="notice">这条回复生成时没有条目被触发。</div>'}
+      <div class="row">
+        <button class="primary" data-action="close-modal">关闭</button>
+      </div>
+    </div>
+  `);
+}
+
 function fileToDataUrl(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
@@ -1380,6 +5361,248 @@ function fileToDataUrl(file) {
   });
 }
 
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('图片加载失败'));
+    image.src = src;
+  });
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function bytesToLatin1(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+}
+
+function bytesToBase64(bytes) {
+  return btoa(bytesToLatin1(bytes));
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+function encodeBase64Utf8(text) {
+  return bytesToBase64(new TextEncoder().encode(text));
+}
+
+function decodeCardText(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) return JSON.parse(trimmed);
+  return JSON.parse(new TextDecoder().decode(base64ToBytes(trimmed)));
+}
+
+async function inflateBytes(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function readPngChunks(bytes) {
+  const signature = [137, 80, 78, 71, 13, 10, 26, 10];
+  if (signature.some((value, index) => bytes[index] !== value)) {
+    throw new Error('不是有效的 PNG 文件');
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = bytesToLatin1(bytes.subarray(offset + 4, offset + 8));
+    chunks.push({ type, offset, data: bytes.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+}
+
+async function readPngTextChunk(chunk) {
+  const { data } = chunk;
+  const keywordEnd = data.indexOf(0);
+  if (keywordEnd < 0) return null;
+  const keyword = bytesToLatin1(data.subarray(0, keywordEnd)).toLowerCase();
+  if (chunk.type === 'tEXt') {
+    return { keyword, text: bytesToLatin1(data.subarray(keywordEnd + 1)) };
+  }
+  if (chunk.type === 'zTXt') {
+    return { keyword, text: bytesToLatin1(await inflateBytes(data.subarray(keywordEnd + 2))) };
+  }
+  const compressed = data[keywordEnd + 1] === 1;
+  const languageEnd = data.indexOf(0, keywordEnd + 3);
+  const translatedEnd = data.indexOf(0, languageEnd + 1);
+  if (languageEnd < 0 || translatedEnd < 0) return null;
+  const body = data.subarray(translatedEnd + 1);
+  return { keyword, text: new TextDecoder().decode(compressed ? await inflateBytes(body) : body) };
+}
+
+async function extractCardFromPng(bytes) {
+  const texts = {};
+  for (const chunk of readPngChunks(bytes)) {
+    if (!['tEXt', 'zTXt', 'iTXt'].includes(chunk.type)) continue;
+    const entry = await readPngTextChunk(chunk);
+    if (entry) texts[entry.keyword] = entry.text;
+  }
+  const payload = texts.ccv3 || texts.chara;
+  if (!payload) throw new Error('图片中没有角色卡数据');
+  return decodeCardText(payload);
+}
+
+function buildPngTextChunk(keyword, text) {
+  const body = new TextEncoder().encode(`tEXt${keyword}\0${text}`);
+  const chunk = new Uint8Array(body.length + 8);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, body.length - 4);
+  chunk.set(body, 4);
+  view.setUint32(body.length + 4, crc32(body));
+  return chunk;
+}
+
+function cardToCharacter(card) {
+  const data = card?.data && typeof card.data === 'object' ? card.data : card;
+  if (!data?.name) throw new Error('角色卡缺少名称');
+  return {
+    id: uuid(),
+    name: String(data.name),
+    prompt: data.system_prompt || '',
+    description: data.description || '',
+    personality: data.personality || '',
+    scenario: data.scenario || '',
+    greeting: data.first_mes || '',
+    exampleDialogue: data.mes_example || '',
+    avatarKey: `character:${uuid()}`,
+    cardData: {
+      creator_notes: data.creator_notes || '',
+      post_history_instructions: data.post_history_instructions || '',
+      alternate_greetings: Array.isArray(data.alternate_greetings) ? data.alternate_greetings : [],
+      tags: Array.isArray(data.tags) ? data.tags : [],
+      creator: data.creator || '',
+      character_version: data.character_version || '',
+      extensions: data.extensions && typeof data.extensions === 'object' ? data.extensions : {}
+    }
+  };
+}
+
+function characterToCard(character) {
+  const extras = character.cardData || {};
+  const hasDescription = Boolean(character.description);
+  return {
+    spec: 'chara_card_v2',
+    spec_version: '2.0',
+    data: {
+      name: character.name,
+      description: hasDescription ? character.description : character.prompt || '',
+      personality: character.personality || '',
+      scenario: character.scenario || '',
+      first_mes: character.greeting || '',
+      mes_example: character.exampleDialogue || '',
+      creator_notes: extras.creator_notes || '',
+      system_prompt: hasDescription ? character.prompt || '' : '',
+      post_history_instructions: extras.post_history_instructions || '',
+      alternate_greetings: extras.alternate_greetings || [],
+      tags: extras.tags || [],
+      creator: extras.creator || '',
+      character_version: extras.character_version || '',
+      extensions: extras.extensions || {}
+    }
+  };
+}
+
+async function renderCardImage(character) {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  const dataUrl = await getAvatar(character.avatarKey);
+  if (dataUrl) {
+    const image = await loadImage(dataUrl);
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    context.drawImage(image, 0, 0);
+  } else {
+    canvas.width = 400;
+    canvas.height = 600;
+    context.fillStyle = '#f3ece4';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = '#6d5b4b';
+    context.font = '160px sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(character.name.slice(0, 1), canvas.width / 2, canvas.height / 2);
+  }
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+async function exportCharacterCard(characterId) {
+  const character = getCharacter(characterId);
+  if (!character) return;
+  try {
+    const image = await renderCardImage(character);
+    const end = readPngChunks(image).find((chunk) => chunk.type === 'IEND');
+    const text = buildPngTextChunk('chara', encodeBase64Utf8(JSON.stringify(characterToCard(character))));
+    const output = new Uint8Array(image.length + text.length);
+    output.set(image.subarray(0, end.offset), 0);
+    output.set(text, end.offset);
+    output.set(image.subarray(end.offset), end.offset + text.length);
+    downloadFile(`${character.name.replace(/[\\/:*?"<>|\s]+/g, '-')}.png`, output, 'image/png');
+  } catch (error) {
+    console.error('card export failed', error);
+    alert(`导出失败：${error.message}`);
+  }
+}
+
+async function importCharacterCard(file) {
+  const isPng = file.type === 'image/png' || /\.png$/i.test(file.name);
+  const card = isPng
+    ? await extractCardFromPng(new Uint8Array(await file.arrayBuffer()))
+    : JSON.parse(await file.text());
+  const character = cardToCharacter(card);
+  if (isPng) {
+    await setAvatar(character.avatarKey, await fileToDataUrl(file));
+  }
+  state.charactersIndex.push(character);
+  queueCharacterSync(character, 'create', { avatar: isPng });
+  return character;
+}
+
+async function handleImportCharacterCard() {
+  const input = document.querySelector('[data-role="card-file"]');
+  const status = document.querySelector('[data-role="card-status"]');
+  const file = input?.files?.[0];
+  if (!file) {
+    alert('请选择 PNG 或 JSON 角色卡。');
+    return;
+  }
+  try {
+    const character = await importCharacterCard(file);
+    openCharacterEditor(character.id);
+  } catch (error) {
+    console.error('card import failed', error);
+    if (status) status.textContent = `导入失败：${error.message}`;
+  }
+}
+
 function openUserProfileModal() {
   openModal(`
     <h3>用户设定</h3>
@@ -1401,12 +5624,21 @@ function openUserProfileModal() {
 async function populateModelList(forceRefresh) {
   const baseInput = modal.querySelector('[data-role="profile-base"]');
   const keyInput = modal.querySelector('[data-role="profile-key"]');
+  const providerInput = modal.querySelector('[data-role="profile-provider"]');
   const list = modal.querySelector('#model-options');
   const status = modal.querySelector('[data-role="models-status"]');
   if (!baseInput || !list || !status) return;
   status.textContent = '正在加载模型列表...';
-  const models = await fetchModels(baseInput.value, keyInput?.value, forceRefresh);
+  const models = await fetchModels({
+    provider: providerInput?.value,
+    baseUrl: baseInput.value,
+    apiKey: keyInput?.value
+  }, forceRefresh);
   state.models = models;
+  const modelInput = modal.querySelector('[data-role="profile-model"]');
+  if (modelInput && !modelInput.value.trim() && models[0]?.id) {
+    modelInput.value = models[0].id;
+  }
   list.innerHTML = models.map((model) => {
     const name = model.name || model.id || 'unknown';
     const context = model.context_length ? ` · ${model.context_length} ctx` : '';
@@ -1417,16 +5649,56 @@ async function populateModelList(forceRefresh) {
 }
 
 function getFallbackModelsFromModal() {
-  return Array.from(modal.querySelectorAll('[data-role="fallback-model"]'))
-    .map((input) => input.value.trim())
-    .filter(Boolean);
+  return Array.from(modal.querySelectorAll('[data-role="fallback-row"]'))
+    .map((row) => {
+      const model = row.querySelector('[data-role="fallback-model"]').value.trim();
+      const profileId = row.querySelector('[data-role="fallback-profile"]').value;
+      return profileId ? { profileId, model } : model;
+    });
+}
+
+function handleConversationCharacterChange() {
+  const characterSelect = modal.querySelector('[data-role="conversation-character"]');
+  const profileSelect = modal.querySelector('[data-role="conversation-profile"]');
+  if (!characterSelect || !profileSelect) return;
+  profileSelect.value = getCharacterDefaultProfileId(getCharacter(characterSelect.value));
+}
+
+function handleProviderChange() {
+  const provider = modal.querySelector('[data-role="profile-provider"]')?.value;
+  const adapter = getProviderAdapter({ provider });
+  const defaults = Object.values(PROVIDER_ADAPTERS);
+  const baseInput = modal.querySelector('[data-role="profile-base"]');
+  const modelInput = modal.querySelector('[data-role="profile-model"]');
+  const baseUrl = normalizeBaseUrl(baseInput?.value.trim());
+  if (baseInput && (!baseUrl || defaults.some((item) => item.defaultBaseUrl === baseUrl))) {
+    baseInput.value = adapter.defaultBaseUrl;
+  }
+  const model = modelInput?.value.trim();
+  if (modelInput && (!model || defaults.some((item) => item.defaultModel === model))) {
+    modelInput.value = adapter.defaultModel;
+  }
+  modal.querySelector('[data-role="model-presets"]')?.classList.toggle('hidden', provider !== 'openai');
+  populateModelList(false);
 }
 
 function renderFallbackList(models) {
   const container = modal.querySelector('[data-role="fallback-list"]');
   if (!container) return;
-  container.innerHTML = models.map((model, index) => `
-    <div class="row">
+  const currentId = modal.querySelector('[data-role="profile-id"]')?.value;
+  const others = state.apiProfiles.filter((item) => item.id !== currentId);
+  container.innerHTML = models.map((entry, index) => {
+    const model = typeof entry === 'string' ? entry : entry.model;
+    const profileId = typeof entry === 'string' ? '' : entry.profileId;
+    const options = others.map((item) => `
+      <option value="${item.id}" ${item.id === profileId ? 'selected' : ''}>${escapeHtml(item.name)}</option>
+    `).join('');
+    return `
+    <div class="row" data-role="fallback-row">
+      <select data-role="fallback-profile">
+        <option value="">本 Profile</option>
+        ${options}
+      </select>
       <input type="text" list="model-options" data-role="fallback-model" value="${model}" />
       <div class="badge-group">
         <button class="icon-button" data-action="move-fallback-up" data-index="${index}">↑</button>
@@ -1434,7 +5706,8 @@ function renderFallbackList(models) {
         <button class="icon-button" data-action="remove-fallback" data-index="${index}">移除</button>
       </div>
     </div>
-  `).join('');
+  `;
+  }).join('');
 }
 
 async function saveUserProfile() {
@@ -1446,6 +5719,7 @@ async function saveUserProfile() {
     await setAvatar(state.settings.userProfile.avatarKey, dataUrl);
   }
   saveLocal(STORAGE_KEYS.settings, state.settings);
+  queueSecureSettingsSync();
   closeModal();
   render();
 }
@@ -1453,17 +5727,25 @@ async function saveUserProfile() {
 async function openProfileModal(profileId) {
   const profile = profileId
     ? state.apiProfiles.find((item) => item.id === profileId)
-    : { id: uuid(), name: '', apiKey: '', baseUrl: DEFAULT_PROFILE.baseUrl, model: DEFAULT_PROFILE.model };
-  const modelValue = profile.model || 'openrouter/auto';
-  const fallbackModels = normalizeFallbackModels(modelValue, profile.fallbackModels || []);
+    : { id: uuid(), name: '', provider: 'openai', apiKey: '', baseUrl: DEFAULT_PROFILE.baseUrl, model: DEFAULT_PROFILE.model };
+  const provider = profile.provider || 'openai';
+  const modelValue = profile.model || getProviderAdapter(profile).defaultModel;
+  const fallbackModels = normalizeFallbackModels(modelValue, profile.fallbackModels || [], provider);
+  const providerOptions = Object.entries(PROVIDER_ADAPTERS).map(([key, adapter]) => `
+    <option value="${key}" ${key === provider ? 'selected' : ''}>${adapter.label}</option>
+  `).join('');
   openModal(`
     <h3>${profileId ? '编辑' : '新建'} API Profile</h3>
     <div class="form-grid">
       <label>API 名称
         <input type="text" data-role="profile-name" value="${profile.name}" />
       </label>
+      <label>接口类型
+        <select data-role="profile-provider">${providerOptions}</select>
+      </label>
       <label>API Key
         <input type="password" data-role="profile-key" value="${profile.apiKey}" />
+        <div class="notice">本地服务器与 Ollama 可以留空。</div>
       </label>
       <label>API Base URL
         <input type="text" data-role="profile-base" value="${profile.baseUrl}" />
@@ -1473,7 +5755,7 @@ async function openProfileModal(profileId) {
         <datalist id="model-options"></datalist>
         <div class="notice" data-role="models-status">正在加载模型列表...</div>
         <button class="outline" type="button" data-action="refresh-models">刷新模型列表</button>
-        <div class="inline-inputs">
+        <div class="inline-inputs${provider === 'openai' ? '' : ' hidden'}" data-role="model-presets">
           <button class="outline" data-action="fill-model" data-model="openrouter/auto">openrouter/auto</button>
           <button class="outline" data-action="fill-model" data-model="openai/gpt-4o-mini">gpt-4o-mini</button>
           <button class="outline" data-action="fill-model" data-model="openai/gpt-4o">gpt-4o</button>
@@ -1500,18 +5782,25 @@ async function openProfileModal(profileId) {
 function saveProfile() {
   const id = modal.querySelector('[data-role="profile-id"]').value;
   const name = modal.querySelector('[data-role="profile-name"]').value.trim() || '未命名 API';
+  const provider = modal.querySelector('[data-role="profile-provider"]').value;
+  const adapter = getProviderAdapter({ provider });
   const apiKey = modal.querySelector('[data-role="profile-key"]').value.trim();
-  const baseUrl = normalizeBaseUrl(modal.querySelector('[data-role="profile-base"]').value.trim() || DEFAULT_PROFILE.baseUrl);
-  const model = modal.querySelector('[data-role="profile-model"]').value.trim() || 'openrouter/auto';
-  const fallbackModels = normalizeFallbackModels(model, getFallbackModelsFromModal());
+  const baseUrl = normalizeBaseUrl(modal.querySelector('[data-role="profile-base"]').value.trim() || adapter.defaultBaseUrl);
+  const model = modal.querySelector('[data-role="profile-model"]').value.trim() || adapter.defaultModel;
+  const fallbackModels = normalizeFallbackModels(model, getFallbackModelsFromModal(), provider);
+  if (!model) {
+    alert('未设置模型，请先加载模型列表并选择一个模型。');
+    return;
+  }
 
   const existing = state.apiProfiles.find((item) => item.id === id);
   if (existing) {
-    Object.assign(existing, { name, apiKey, baseUrl, model, fallbackModels });
+    Object.assign(existing, { name, provider, apiKey, baseUrl, model, fallbackModels });
   } else {
-    state.apiProfiles.push({ id, name, apiKey, baseUrl, model, fallbackModels });
+    state.apiProfiles.push({ id, name, provider, apiKey, baseUrl, model, fallbackModels });
   }
   saveLocal(STORAGE_KEYS.apiProfiles, state.apiProfiles);
+  queueSecureSettingsSync();
   closeModal();
   render();
 }
@@ -1520,25 +5809,33 @@ async function testProfileConnection() {
   const result = modal.querySelector('[data-role="profile-test-result"]');
   if (!result) return;
   result.textContent = '测试中...';
+  const provider = modal.querySelector('[data-role="profile-provider"]')?.value;
+  const adapter = getProviderAdapter({ provider });
   const apiKey = modal.querySelector('[data-role="profile-key"]')?.value.trim();
-  const baseUrl = normalizeBaseUrl(modal.querySelector('[data-role="profile-base"]')?.value.trim() || DEFAULT_PROFILE.baseUrl);
-  const model = modal.querySelector('[data-role="profile-model"]')?.value.trim() || 'openrouter/auto';
-  const fallbackModels = normalizeFallbackModels(model, getFallbackModelsFromModal());
-  const profile = { apiKey, baseUrl, model, fallbackModels };
-  const modelsList = buildModelFallbacks(profile);
+  const baseUrl = normalizeBaseUrl(modal.querySelector('[data-role="profile-base"]')?.value.trim() || adapter.defaultBaseUrl);
+  const model = modal.querySelector('[data-role="profile-model"]')?.value.trim() || adapter.defaultModel;
+  const fallbackModels = normalizeFallbackModels(model, getFallbackModelsFromModal(), provider);
+  const profile = { provider, apiKey, baseUrl, model, fallbackModels };
+  const targets = buildModelFallbacks(profile);
+  const routingModels = getRoutingModels(targets, profile);
   const history = [{ role: 'user', content: 'ping' }];
   const systemPrompt = 'You are a helpful assistant.';
   let allowModelsParam = true;
   let lastError = '';
 
   try {
-    for (let attemptIndex = 0; attemptIndex < modelsList.length; attemptIndex += 1) {
+    for (let attemptIndex = 0; attemptIndex < targets.length; attemptIndex += 1) {
+      const target = targets[attemptIndex];
+      if (!isProfileReady(target.profile)) {
+        lastError = `${target.profile.name || 'API Profile'} 未设置 API Key`;
+        continue;
+      }
       const response = await attemptChatCompletion({
-        profile,
+        profile: target.profile,
         history,
         systemPrompt,
-        model: modelsList[attemptIndex],
-        models: allowModelsParam ? modelsList : null,
+        model: target.model,
+        models: allowModelsParam && target.profile === profile ? routingModels : null,
         stream: false
       });
       if (!response.ok) {
@@ -1552,8 +5849,8 @@ async function testProfileConnection() {
         }
         continue;
       }
-      const data = await response.json();
-      const reply = data?.choices?.[0]?.message?.content || '（无回复内容）';
+      const { content } = await readCompletion(target.profile, response);
+      const reply = content || '（无回复内容）';
       result.textContent = `✅ HTTP ${response.status} ${response.statusText}: ${shorten(reply, 60)}`;
       return;
     }
@@ -1573,6 +5870,7 @@ function deleteProfile(profileId) {
     saveLocal(STORAGE_KEYS.settings, state.settings);
   }
   saveLocal(STORAGE_KEYS.apiProfiles, state.apiProfiles);
+  queueSecureSettingsSync();
   render();
 }
 
@@ -1580,6 +5878,8 @@ function handleSettingsChange() {
   const globalPrompt = document.querySelector('[data-role="global-prompt"]');
   if (globalPrompt) {
     state.settings.globalPrompt = globalPrompt.value;
+    const preview = document.querySelector('[data-role="global-prompt-preview"]');
+    if (preview) preview.textContent = expandPromptMacros(globalPrompt.value, { character: getCharacter() });
   }
   const tempInput = document.querySelector('[data-role="temperature"]');
   if (tempInput) {
@@ -1595,7 +5895,14 @@ function handleSettingsChange() {
   if (showTime) state.settings.showTimestamp = showTime.checked;
   const streaming = document.querySelector('[data-role="toggle-stream"]');
   if (streaming) state.settings.streaming = streaming.checked;
+  const summaryToggle = document.querySelector('[data-role="toggle-summary"]');
+  if (summaryToggle) state.settings.summaryEnabled = summaryToggle.checked;
+  const summaryThreshold = document.querySelector('[data-role="summary-threshold"]');
+  if (summaryThreshold && Number(summaryThreshold.value) > SUMMARY_KEEP_RECENT) {
+    state.settings.summaryThreshold = Number(summaryThreshold.value);
+  }
   saveLocal(STORAGE_KEYS.settings, state.settings);
+  queueSecureSettingsSync();
 }
 
 function saveSupabaseSettings() {
@@ -1609,15 +5916,12 @@ function saveSupabaseSettings() {
 }
 
 function init() {
-  state.settings = loadLocal(STORAGE_KEYS.settings, DEFAULT_SETTINGS);
-  state.apiProfiles = loadLocal(STORAGE_KEYS.apiProfiles, [DEFAULT_PROFILE]).map((profile) => ({
-    ...profile,
-    baseUrl: normalizeBaseUrl(profile.baseUrl || DEFAULT_PROFILE.baseUrl),
-    model: profile.model || 'openrouter/auto',
-    fallbackModels: normalizeFallbackModels(profile.model || 'openrouter/auto', profile.fallbackModels || [])
-  }));
+  state.settings = { ...DEFAULT_SETTINGS, ...loadLocal(STORAGE_KEYS.settings, {}) };
+  state.apiProfiles = loadLocal(STORAGE_KEYS.apiProfiles, [DEFAULT_PROFILE]).map(normalizeProfile);
   state.charactersIndex = loadLocal(STORAGE_KEYS.characters, [DEFAULT_CHARACTER]);
   state.conversationsIndex = loadLocal(STORAGE_KEYS.conversations, []);
+  state.syncConflicts = loadLocal(STORAGE_KEYS.syncConflicts, []);
+  state.lorebooks = loadLocal(STORAGE_KEYS.lorebooks, []);
   if (!state.apiProfiles.length) {
     state.apiProfiles = [DEFAULT_PROFILE];
   }
@@ -1633,9 +5937,7 @@ function init() {
       render();
       if (session) {
         runCloudSync();
-        if (state.activeConversationId) {
-          setupRealtimeSubscription(state.activeConversationId);
-        }
+        setupRealtimeSubscription();
       } else {
         clearRealtimeSubscription();
       }
@@ -1644,9 +5946,13 @@ function init() {
     setSyncStatus('not-configured');
   }
   render();
-  refreshSession().then(() => {
+  window.addEventListener('online', () => runCloudSync());
+  refreshSession().then(async () => {
+    await loadVaultKey();
+    state.deadOps = (await getPendingOps()).filter((op) => op.dead);
     if (state.session) {
       runCloudSync();
+      setupRealtimeSubscription();
     }
   });
   registerServiceWorker();
@@ -1677,6 +5983,27 @@ document.addEventListener('pointerup', () => {
   }, 0);
 });
 
+let swipeStart = null;
+
+document.addEventListener('pointerdown', (event) => {
+  const bubble = event.target.closest('.message[data-versions]');
+  swipeStart = bubble ? { id: bubble.dataset.id, x: event.clientX, y: event.clientY } : null;
+});
+
+document.addEventListener('pointerup', (event) => {
+  if (!swipeStart) return;
+  const dx = event.clientX - swipeStart.x;
+  const dy = event.clientY - swipeStart.y;
+  const messageId = swipeStart.id;
+  swipeStart = null;
+  if (Math.abs(dx) < 60 || Math.abs(dx) < Math.abs(dy) * 2) return;
+  state.swipeActive = true;
+  setTimeout(() => {
+    state.swipeActive = false;
+  }, 0);
+  switchMessageVersion(messageId, dx < 0 ? 1 : -1);
+});
+
 document.addEventListener('click', async (event) => {
   const action = event.target.closest('[data-action]');
   if (!action) return;
@@ -1694,31 +6021,52 @@ document.addEventListener('click', async (event) => {
     case 'confirm-new-conversation': {
       const characterId = modal.querySelector('[data-role="conversation-character"]').value;
       const profileId = modal.querySelector('[data-role="conversation-profile"]').value;
-      createConversation(characterId, profileId);
+      const members = Array.from(modal.querySelectorAll('[data-role="conversation-member"]:checked'))
+        .map((input) => input.value)
+        .filter((memberId) => memberId !== characterId);
+      const turnMode = modal.querySelector('[data-role="conversation-turn-mode"]').value;
       closeModal();
+      await createConversation(characterId, profileId, members.length
+        ? { characterIds: [characterId, ...members], turnMode }
+        : {});
       break;
     }
     case 'open-conversation':
       if (state.longPressActive) return;
       state.activeConversationId = id;
+      markConversationRead(id);
       await ensureMessagesLoaded(id, true);
-      setupRealtimeSubscription(id);
       render();
       break;
+    case 'open-search':
+      state.search.open = true;
+      render();
+      break;
+    case 'close-search':
+      state.search.open = false;
+      render();
+      break;
+    case 'open-search-hit':
+      await openConversationAtMessage(id, action.dataset.message);
+      break;
     case 'back-to-conversations':
       state.activeConversationId = null;
-      clearRealtimeSubscription();
+      state.renderedConversationId = null;
       render();
       break;
     case 'set-theme':
       state.settings.theme = theme;
       saveLocal(STORAGE_KEYS.settings, state.settings);
+      queueSecureSettingsSync();
       applyTheme();
       render();
       break;
     case 'send-message':
       await handleSendMessage();
       break;
+    case 'stop-generation':
+      stopGeneration();
+      break;
     case 'close-modal':
       closeModal();
       break;
@@ -1731,14 +6079,102 @@ document.addEventListener('click', async (event) => {
     case 'delete-conversation':
       await handleDeleteConversation(id);
       break;
+    case 'export-conversation': {
+      const conversation = getConversation(id);
+      closeMenu();
+      if (conversation) await exportConversations([id], action.dataset.format, conversation.title);
+      break;
+    }
+    case 'export-all': {
+      const ids = state.conversationsIndex.filter((item) => !item.isDeleted).map((item) => item.id);
+      if (!ids.length) {
+        alert('还没有可导出的对话。');
+        break;
+      }
+      await exportConversations(ids, action.dataset.format, 'all');
+      break;
+    }
+    case 'import-conversations':
+      await handleImportConversations();
+      break;
+    case 'retry-dead-op':
+      await retryDeadOp(id);
+      render();
+      break;
+    case 'discard-dead-op':
+      await discardDeadOp(id);
+      render();
+      break;
+    case 'open-conflicts':
+      openConflictModal();
+      break;
+    case 'resolve-conflict':
+      await resolveSyncConflict(action.dataset.table, id, action.dataset.choice);
+      if (state.syncConflicts.length) {
+        openConflictModal();
+      } else {
+        closeModal();
+      }
+      render();
+      break;
+    case 'enable-secure-sync':
+      await enableSecureSync();
+      break;
+    case 'disable-secure-sync':
+      await disableSecureSync();
+      break;
+    case 'import-character-card':
+      await handleImportCharacterCard();
+      break;
+    case 'export-character-card':
+      await exportCharacterCard(id);
+      break;
     case 'message-menu':
+      if (event.target.closest('a') || state.swipeActive) break;
       openMessageMenu(id);
       break;
+    case 'switch-version':
+      await switchMessageVersion(id, Number(action.dataset.direction));
+      break;
+    case 'copy-code': {
+      const code = action.closest('.code-block')?.querySelector('code');
+      if (code) {
+        await handleCopy(code.textContent);
+        action.textContent = '已复制';
+      }
+      break;
+    }
+    case 'edit-summary':
+      openSummaryModal(id);
+      break;
+    case 'save-summary':
+      await saveConversationSummary(id);
+      break;
+    case 'run-summary':
+      await runConversationSummary(id);
+      break;
+    case 'edit-generation':
+      openGenerationModal(id);
+      break;
+    case 'save-generation':
+      await saveGenerationSettings(id);
+      break;
+    case 'reset-generation':
+      await saveGenerationSettings(id, true);
+      break;
+    case 'toggle-markdown': {
+      const conversation = getConversation(state.activeConversationId);
+      if (!conversation) break;
+      conversation.markdown = !isMarkdownEnabled(conversation);
+      saveLocal(STORAGE_KEYS.conversations, state.conversationsIndex);
+      await renderChatView();
+      break;
+    }
     case 'copy-message': {
       const conversation = getConversation(state.activeConversationId);
       const messages = state.messagesCache.get(conversation.id) || [];
       const message = messages.find((item) => item.id === id);
-      if (message) await handleCopy(message.content);
+      if (message) await handleCopy(getMessageContent(message));
       closeMenu();
       break;
     }
@@ -1751,6 +6187,10 @@ document.addEventListener('click', async (event) => {
     case 'regenerate-message':
       await handleRegenerateMessage(id);
       break;
+    case 'fork-conversation':
+      closeMenu();
+      await forkConversation(state.activeConversationId, id);
+      break;
     case 'new-character': {
       const newCharacter = {
         id: uuid(),
@@ -1759,10 +6199,58 @@ document.addEventListener('click', async (event) => {
         avatarKey: `character:${uuid()}`
       };
       state.charactersIndex.push(newCharacter);
-      saveLocal(STORAGE_KEYS.characters, state.charactersIndex);
+      queueCharacterSync(newCharacter, 'create');
       openCharacterEditor(newCharacter.id);
       break;
     }
+    case 'remove-attachment':
+      removeComposerAttachment(id);
+      break;
+    case 'view-attachment':
+      openAttachmentModal(id);
+      break;
+    case 'speak-as':
+      await handleSpeakAs(id);
+      break;
+    case 'cycle-turn-mode': {
+      const conversation = getConversation(id);
+      if (!conversation) break;
+      const modes = Object.keys(TURN_MODE_LABELS);
+      conversation.turnMode = modes[(modes.indexOf(conversation.turnMode || 'round-robin') + 1) % modes.length];
+      conversation.updatedAt = Date.now();
+      saveLocal(STORAGE_KEYS.conversations, state.conversationsIndex);
+      queueConversationSync(conversation, 'update');
+      await renderChatView();
+      break;
+    }
+    case 'new-lorebook':
+      openLorebookModal(null);
+      break;
+    case 'edit-lorebook':
+      openLorebookModal(id);
+      break;
+    case 'save-lorebook':
+      saveLorebook();
+      break;
+    case 'delete-lorebook':
+      deleteLorebook(id);
+      break;
+    case 'add-lore-entry': {
+      const current = getLoreEntriesFromModal();
+      current.push({ id: uuid(), keywords: [], content: '', position: 'before', priority: 0, enabled: true });
+      renderLoreEntryList(current);
+      break;
+    }
+    case 'remove-lore-entry': {
+      const current = getLoreEntriesFromModal();
+      current.splice(Number(action.dataset.index), 1);
+      renderLoreEntryList(current);
+      break;
+    }
+    case 'show-lore-hits':
+      closeMenu();
+      openLoreHitsModal(id);
+      break;
     case 'edit-character':
       openCharacterEditor(id);
       break;
@@ -1819,7 +6307,8 @@ document.addEventListener('click', async (event) => {
     }
     case 'add-fallback': {
       const current = getFallbackModelsFromModal();
-      current.push('openrouter/auto');
+      const provider = modal.querySelector('[data-role="profile-provider"]')?.value;
+      current.push(provider === 'openai' ? 'openrouter/auto' : '');
       renderFallbackList(current);
       break;
     }
@@ -1869,11 +6358,46 @@ document.addEventListener('input', (event) => {
       event.target.closest('[data-role="toggle-model"]') ||
       event.target.closest('[data-role="toggle-tokens"]') ||
       event.target.closest('[data-role="toggle-time"]') ||
-      event.target.closest('[data-role="toggle-stream"]')) {
+      event.target.closest('[data-role="toggle-stream"]') ||
+      event.target.closest('[data-role="toggle-summary"]') ||
+      event.target.closest('[data-role="summary-threshold"]')) {
     handleSettingsChange();
   }
+  if (event.target.closest('[data-role^="search-"]')) {
+    handleSearchInput();
+  }
+  if (event.target.closest('[data-role="profile-provider"]')) {
+    handleProviderChange();
+  }
+  if (event.target.closest('[data-role="conversation-character"]')) {
+    handleConversationCharacterChange();
+  }
+  if (event.target.closest('[data-role^="character-"]')) {
+    updateCharacterPreview();
+  }
+});
+
+document.addEventListener('change', (event) => {
+  if (event.target.matches('[data-role="attachment-input"]')) {
+    addComposerAttachments(Array.from(event.target.files || []));
+    event.target.value = '';
+  }
 });
 
+document.addEventListener('paste', (event) => {
+  if (!event.target.closest?.('[data-role="message-input"]')) return;
+  const files = Array.from(event.clipboardData?.files || []).filter((file) => file.type.startsWith('image/'));
+  if (!files.length) return;
+  event.preventDefault();
+  addComposerAttachments(files);
+});
+
+document.addEventListener('scroll', (event) => {
+  if (event.target?.matches?.('[data-role="chat-area"]')) {
+    scheduleChatWindowUpdate();
+  }
+}, true);
+
 document.addEventListener('focusin', (event) => {
   if (event.target.matches('input, textarea, select')) {
     document.body.classList.add('keyboard-open');
@@ -1,8 +1,9 @@
-const CACHE_NAME = 'serren-chat-phone-v1';
+const CACHE_NAME = 'serren-chat-phone-v6';
 const ASSETS = [
   '.',
   'index.html',
   'style.css',
+  'sync-merge.js',
   'app.js',
   'manifest.json'
 ];
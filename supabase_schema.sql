@@ -2,13 +2,43 @@
 -- Requires pgcrypto extension for gen_random_uuid
 create extension if not exists pgcrypto;
 
+create table if not exists public.characters (
+  id text not null,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  name text not null,
+  prompt text,
+  description text,
+  personality text,
+  scenario text,
+  greeting text,
+  example_dialogue text,
+  card_data jsonb,
+  preferred_profile_id text,
+  preferred_model text,
+  preferred_temperature real,
+  avatar_key text,
+  avatar_path text,
+  avatar_updated_at timestamptz,
+  updated_at timestamptz default now(),
+  primary key (user_id, id)
+);
+
 create table if not exists public.conversations (
   id uuid primary key default gen_random_uuid(),
   user_id uuid not null references auth.users(id) on delete cascade,
   title text not null,
   preview text,
   character_id text,
+  character_ids jsonb not null default '[]'::jsonb,
+  turn_mode text,
   api_profile_id text,
+  model text,
+  parent_id uuid references public.conversations(id) on delete set null,
+  fork_message_id uuid,
+  summary text,
+  summary_until timestamptz,
+  generation jsonb not null default '{}'::jsonb,
+  system_prompt_override text,
   is_deleted boolean default false,
   updated_at timestamptz default now()
 );
@@ -18,16 +48,67 @@ create table if not exists public.messages (
   user_id uuid not null references auth.users(id) on delete cascade,
   conversation_id uuid not null references public.conversations(id) on delete cascade,
   role text not null,
+  character_id text,
   content text not null,
+  attachments jsonb not null default '[]'::jsonb,
   model text,
   tokens_prompt integer,
   tokens_completion integer,
   tokens_total integer,
+  is_stopped boolean default false,
+  is_greeting boolean default false,
+  lore_hits jsonb not null default '[]'::jsonb,
+  version_group text,
+  is_active_version boolean default true,
   is_deleted boolean default false,
   created_at timestamptz default now(),
   updated_at timestamptz default now()
 );
 
+-- Lorebooks, entries kept as one JSON array per book
+create table if not exists public.lorebooks (
+  id text not null,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  name text not null,
+  character_id text,
+  enabled boolean default true,
+  scan_depth integer,
+  token_budget integer,
+  entries jsonb not null default '[]'::jsonb,
+  is_deleted boolean default false,
+  updated_at timestamptz default now(),
+  primary key (user_id, id)
+);
+
+-- API profiles and settings, encrypted client-side (AES-GCM, PBKDF2 passphrase key)
+create table if not exists public.secure_settings (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  salt text not null,
+  iv text not null,
+  ciphertext text not null,
+  updated_at timestamptz default now()
+);
+
+alter table public.conversations add column if not exists parent_id uuid references public.conversations(id) on delete set null;
+alter table public.conversations add column if not exists fork_message_id uuid;
+alter table public.conversations add column if not exists summary text;
+alter table public.conversations add column if not exists summary_until timestamptz;
+alter table public.conversations add column if not exists model text;
+alter table public.conversations add column if not exists character_ids jsonb not null default '[]'::jsonb;
+alter table public.conversations add column if not exists turn_mode text;
+alter table public.conversations add column if not exists generation jsonb not null default '{}'::jsonb;
+alter table public.conversations add column if not exists system_prompt_override text;
+alter table public.characters add column if not exists preferred_profile_id text;
+alter table public.characters add column if not exists preferred_model text;
+alter table public.characters add column if not exists preferred_temperature real;
+alter table public.messages add column if not exists character_id text;
+alter table public.messages add column if not exists attachments jsonb not null default '[]'::jsonb;
+alter table public.messages add column if not exists is_stopped boolean default false;
+alter table public.messages add column if not exists is_greeting boolean default false;
+alter table public.messages add column if not exists lore_hits jsonb not null default '[]'::jsonb;
+alter table public.messages add column if not exists version_group text;
+alter table public.messages add column if not exists is_active_version boolean default true;
+
 create or replace function public.set_updated_at()
 returns trigger as $$
 begin
@@ -36,6 +117,18 @@ begin
 end;
 $$ language plpgsql;
 
+create trigger characters_set_updated_at
+before update on public.characters
+for each row execute procedure public.set_updated_at();
+
+create trigger lorebooks_set_updated_at
+before update on public.lorebooks
+for each row execute procedure public.set_updated_at();
+
+create trigger secure_settings_set_updated_at
+before update on public.secure_settings
+for each row execute procedure public.set_updated_at();
+
 create trigger conversations_set_updated_at
 before update on public.conversations
 for each row execute procedure public.set_updated_at();
@@ -44,8 +137,20 @@ create trigger messages_set_updated_at
 before update on public.messages
 for each row execute procedure public.set_updated_at();
 
+alter table public.characters enable row level security;
 alter table public.conversations enable row level security;
 alter table public.messages enable row level security;
+alter table public.secure_settings enable row level security;
+alter table public.lorebooks enable row level security;
+
+create policy "characters_read" on public.characters
+for select using (auth.uid() = user_id);
+
+create policy "characters_write" on public.characters
+for insert with check (auth.uid() = user_id);
+
+create policy "characters_update" on public.characters
+for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
 
 create policy "conversations_read" on public.conversations
 for select using (auth.uid() = user_id);
@@ -64,3 +169,61 @@ for insert with check (auth.uid() = user_id);
 
 create policy "messages_update" on public.messages
 for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+create policy "lorebooks_read" on public.lorebooks
+for select using (auth.uid() = user_id);
+
+create policy "lorebooks_write" on public.lorebooks
+for insert with check (auth.uid() = user_id);
+
+create policy "lorebooks_update" on public.lorebooks
+for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+create policy "secure_settings_read" on public.secure_settings
+for select using (auth.uid() = user_id);
+
+create policy "secure_settings_write" on public.secure_settings
+for insert with check (auth.uid() = user_id);
+
+create policy "secure_settings_update" on public.secure_settings
+for update using (auth.uid() = user_id) with check (auth.uid() = user_id);
+
+-- Realtime change feed used for cross-device updates
+do $$
+begin
+  alter publication supabase_realtime add table public.conversations, public.messages;
+exception when duplicate_object then null;
+end $$;
+
+-- Character avatars live in a private Storage bucket under <user_id>/<character_id>
+insert into storage.buckets (id, name, public)
+values ('avatars', 'avatars', false)
+on conflict (id) do nothing;
+
+create policy "avatars_read" on storage.objects
+for select using (bucket_id = 'avatars' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "avatars_write" on storage.objects
+for insert with check (bucket_id = 'avatars' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "avatars_update" on storage.objects
+for update using (bucket_id = 'avatars' and (storage.foldername(name))[1] = auth.uid()::text)
+with check (bucket_id = 'avatars' and (storage.foldername(name))[1] = auth.uid()::text);
+
+-- Message image attachments live in a private Storage bucket under <user_id>/<conversation_id>/<attachment_id>
+insert into storage.buckets (id, name, public)
+values ('attachments', 'attachments', false)
+on conflict (id) do nothing;
+
+create policy "attachments_read" on storage.objects
+for select using (bucket_id = 'attachments' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "attachments_write" on storage.objects
+for insert with check (bucket_id = 'attachments' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "attachments_update" on storage.objects
+for update using (bucket_id = 'attachments' and (storage.foldername(name))[1] = auth.uid()::text)
+with check (bucket_id = 'attachments' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy "attachments_delete" on storage.objects
+for delete using (bucket_id = 'attachments' and (storage.foldername(name))[1] = auth.uid()::text);
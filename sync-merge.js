@@ -0,0 +1,70 @@
+'use strict';
+
+// syncedAt: server updated_at of the last agreed version; syncedUpdatedAt: local
+// updatedAt of that version. Each side's changes are judged by its own clock.
+
+function getRecordTime(record) {
+  return record.updatedAt || record.createdAt || 0;
+}
+
+function isSameSyncValue(a, b) {
+  return (a ?? '') === (b ?? '');
+}
+
+function hasLocalSyncChanges(local) {
+  if (local.syncedAt === undefined) return true;
+  if (local.syncedUpdatedAt === undefined) return getRecordTime(local) > local.syncedAt;
+  return getRecordTime(local) !== local.syncedUpdatedAt;
+}
+
+function mergeSyncRecord(local, remote, conflictFields) {
+  const remoteAt = getRecordTime(remote);
+  if (!local) {
+    return { record: { ...remote, syncedAt: remoteAt, syncedUpdatedAt: remoteAt }, conflict: null };
+  }
+  const base = local.syncedAt;
+  const localChanged = hasLocalSyncChanges(local);
+  const remoteChanged = base === undefined || remoteAt > base;
+  let newer = remoteAt >= getRecordTime(local) ? remote : local;
+  if (localChanged !== remoteChanged) {
+    newer = remoteChanged ? remote : local;
+  } else if (!localChanged) {
+    newer = remote;
+  }
+  const synced = {
+    syncedAt: Math.max(remoteAt, base || 0),
+    syncedUpdatedAt: newer === remote ? remoteAt : local.syncedUpdatedAt
+  };
+  if (local.isDeleted || remote.isDeleted) {
+    return {
+      record: { ...local, ...newer, isDeleted: true, ...synced },
+      conflict: null
+    };
+  }
+  const changed = conflictFields.filter((field) => !isSameSyncValue(local[field], remote[field]));
+  if (base !== undefined && localChanged && remoteChanged && changed.length) {
+    return {
+      record: local,
+      conflict: { id: local.id, fields: changed, local, remote }
+    };
+  }
+  return {
+    record: { ...local, ...newer, ...synced },
+    conflict: null
+  };
+}
+
+function mergeSyncRecords(localById, remoteRecords, conflictFields) {
+  const records = [];
+  const conflicts = [];
+  remoteRecords.forEach((remote) => {
+    const { record, conflict } = mergeSyncRecord(localById.get(remote.id), remote, conflictFields);
+    records.push(record);
+    if (conflict) conflicts.push(conflict);
+  });
+  return { records, conflicts };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { getRecordTime, isSameSyncValue, hasLocalSyncChanges, mergeSyncRecord, mergeSyncRecords };
+}
@@ -0,0 +1,74 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeSyncRecord } = require('../sync-merge.js');
+
+const FIELDS = ['title', 'summary'];
+const SERVER_AT = Date.parse('2026-10-19T10:00:00Z');
+
+const syncedRow = (fields = {}) => ({
+  id: 'c1',
+  title: '旧标题',
+  summary: '',
+  updatedAt: SERVER_AT,
+  syncedAt: SERVER_AT,
+  syncedUpdatedAt: SERVER_AT,
+  ...fields
+});
+
+test('remote-only record is adopted as synced', () => {
+  const { record, conflict } = mergeSyncRecord(undefined, { id: 'c1', title: '云端', updatedAt: SERVER_AT }, FIELDS);
+  assert.equal(conflict, null);
+  assert.equal(record.title, '云端');
+  assert.equal(record.syncedAt, SERVER_AT);
+  assert.equal(record.syncedUpdatedAt, SERVER_AT);
+});
+
+test('own echo after a push does not conflict with a newer local edit', () => {
+  const pushedAt = SERVER_AT - 30000;
+  const local = syncedRow({ title: '本机再次修改', updatedAt: pushedAt + 5000, syncedUpdatedAt: pushedAt });
+  const echo = { id: 'c1', title: '本机第一次修改', summary: '', updatedAt: SERVER_AT };
+  const { record, conflict } = mergeSyncRecord(local, echo, FIELDS);
+  assert.equal(conflict, null);
+  assert.equal(record.title, '本机再次修改');
+  assert.equal(record.syncedUpdatedAt, pushedAt);
+});
+
+test('unchanged local record takes the echo and its server time', () => {
+  const local = syncedRow({ updatedAt: SERVER_AT + 90000, syncedUpdatedAt: SERVER_AT + 90000, syncedAt: SERVER_AT });
+  const { record, conflict } = mergeSyncRecord(local, { id: 'c1', title: '旧标题', updatedAt: SERVER_AT }, FIELDS);
+  assert.equal(conflict, null);
+  assert.equal(record.updatedAt, SERVER_AT);
+  assert.equal(record.syncedUpdatedAt, SERVER_AT);
+});
+
+test('unpushed edit on a device whose clock runs behind survives an unchanged remote row', () => {
+  const local = syncedRow({ title: '慢时钟修改', updatedAt: SERVER_AT - 3 * 3600 * 1000 });
+  const { record, conflict } = mergeSyncRecord(local, { id: 'c1', title: '旧标题', updatedAt: SERVER_AT }, FIELDS);
+  assert.equal(conflict, null);
+  assert.equal(record.title, '慢时钟修改');
+});
+
+test('edit on a device whose clock runs ahead still conflicts with a real remote edit', () => {
+  const local = syncedRow({ title: '快时钟修改', updatedAt: SERVER_AT + 3 * 3600 * 1000 });
+  const remote = { id: 'c1', title: '另一台设备修改', updatedAt: SERVER_AT + 60000 };
+  const { record, conflict } = mergeSyncRecord(local, remote, FIELDS);
+  assert.deepEqual(conflict.fields, ['title']);
+  assert.equal(record, local);
+});
+
+test('remote edit applies when the local record is unchanged, whatever its clock', () => {
+  const local = syncedRow({ updatedAt: SERVER_AT + 3 * 3600 * 1000, syncedUpdatedAt: SERVER_AT + 3 * 3600 * 1000 });
+  const remote = { id: 'c1', title: '另一台设备修改', updatedAt: SERVER_AT + 60000 };
+  const { record, conflict } = mergeSyncRecord(local, remote, FIELDS);
+  assert.equal(conflict, null);
+  assert.equal(record.title, '另一台设备修改');
+});
+
+test('soft-deleted records are never resurrected', () => {
+  const local = syncedRow({ isDeleted: true, updatedAt: SERVER_AT + 1000 });
+  const { record, conflict } = mergeSyncRecord(local, { id: 'c1', title: '云端', updatedAt: SERVER_AT + 60000 }, FIELDS);
+  assert.equal(conflict, null);
+  assert.equal(record.isDeleted, true);
+});